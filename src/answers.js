@@ -0,0 +1,187 @@
+import fs from 'node:fs/promises';
+import { sendToLLM } from './llm.js';
+import { buildPrompt } from './prompts.js';
+
+// ————————————————————————————————————————————————
+// Application-form answers with strict word limits
+// ————————————————————————————————————————————————
+/** Answer frameworks a question may ask for, with the structure the model should follow. */
+export const FRAMEWORKS = {
+  STAR: 'Use the STAR structure: Situation, Task, Action, Result. Keep the situation and task short, spend most words on what I did, and end with a measurable result.',
+  CAR: 'Use the CAR structure: Context, Action, Result. Keep the context short and spend most words on my actions and their result.',
+  behaviours: 'Answer as a Civil Service Success Profiles behaviour example: one specific example, in the first person, showing the behaviour clearly, with the actions I took and the outcome.',
+  statement: 'Write a personal statement that takes the essential criteria in turn and gives concrete evidence for each.',
+  none: 'Answer directly and concretely.',
+};
+
+export const ANSWER_SUGGESTION_TYPES = ['evidence', 'structure', 'clarity', 'length', 'other'];
+
+/**
+ * Counts words the way application forms usually do: runs of non-space characters.
+ * @param {string} text - Text to count.
+ * @returns {number} Word count.
+ */
+export function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Reads a questions file (`{ questions: [{ id, question, wordLimit, framework }] }`).
+ * It is validated with the other inputs before a run, so only the shape is assumed here.
+ * @param {string} p - Path to the questions JSON file.
+ * @returns {Promise<Array<Object>>} Questions, with `id` defaulting to `q<n>` and `framework` to `none`.
+ */
+export async function loadQuestions(p) {
+  const { questions } = JSON.parse(await fs.readFile(p, 'utf8'));
+  return questions.map((q, i) => ({ id: q.id || `q${i + 1}`, framework: 'none', ...q }));
+}
+
+/**
+ * Drafts an answer to one application-form question from the selected evidence.
+ * @param {Object} question - `{ question, wordLimit, framework }`.
+ * @param {Object} evidence - `{ achievements, roles }` picked by relevance for this question.
+ * @param {string} notes - Covering letter notes (tone and emphasis).
+ * @param {string} jobDescription - Job description.
+ * @param {Array<string>} [guidance] - Extra instructions from the user, given when regenerating.
+ * @param {string} [language] - Language and spelling to answer in (from the job's locale).
+ * @returns {Promise<string>} The answer.
+ */
+export async function draftAnswer(question, evidence, notes, jobDescription, guidance = [], language = 'British English') {
+  const { input, instructions } = await buildPrompt('draft-answer', {
+    jobDescription,
+    question,
+    evidenceJSON: JSON.stringify(evidence, null, 2),
+    notes,
+    language,
+    framework: FRAMEWORKS[question.framework],
+    guidance,
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      answer: { type: 'string' }
+    },
+    required: ['answer']
+  };
+  const validate = ({ answer: a }) => (countWords(a) > question.wordLimit
+    ? `the answer is ${countWords(a)} words, over the ${question.wordLimit}-word limit`
+    : null);
+  const { answer } = await sendToLLM({ input, schema, validate, instructions });
+  return answer.trim();
+}
+
+/**
+ * Cuts text to at most `limit` words, ending at the last full sentence that fits; only when
+ * not even one sentence fits is it cut mid-sentence. The text is cut where the last word
+ * ends, so line and paragraph breaks before it are kept.
+ * @param {string} text - Text to cut.
+ * @param {number} limit - Word limit.
+ * @returns {string} Text within the limit.
+ */
+function truncateToWords(text, limit) {
+  const trimmed = text.trim();
+  const words = [...trimmed.matchAll(/\S+/g)];
+  if (words.length <= limit) return trimmed;
+  const last = words[limit - 1];
+  const cut = trimmed.slice(0, last.index + last[0].length);
+  const stops = [...cut.matchAll(/[.!?](?=\s|$)/g)];
+  return stops.length ? cut.slice(0, stops.at(-1).index + 1) : cut;
+}
+
+/**
+ * Brings an answer within its word limit: asks the model to shorten it (up to twice),
+ * then cuts it at a sentence boundary as a last resort. The limit is never exceeded.
+ * @param {string} answer - Answer text.
+ * @param {Object} question - `{ question, wordLimit }`.
+ * @returns {Promise<string>} Answer within the limit.
+ */
+export async function enforceWordLimit(answer, question) {
+  const limit = question.wordLimit;
+  let text = answer;
+  for (let attempt = 1; attempt <= 2 && countWords(text) > limit; attempt += 1) {
+    console.log(`[INFO] Answer is ${countWords(text)} words, over the ${limit}-word limit; shortening (attempt ${attempt}).`);
+    const { input, instructions } = await buildPrompt('shorten-answer', { question, words: countWords(text), answer: text });
+    const { answer: shorter } = await sendToLLM({
+      input,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { answer: { type: 'string' } },
+        required: ['answer']
+      },
+      instructions,
+    });
+    text = shorter.trim();
+  }
+  if (countWords(text) > limit) {
+    console.log(`[WARN] Answer still over ${limit} words; cutting it at the last sentence that fits.`);
+    text = truncateToWords(text, limit);
+  }
+  return text;
+}
+
+/**
+ * Requests suggestions for improving an answer against its question, framework and word limit.
+ * @param {Object} question - `{ question, wordLimit, framework }`.
+ * @param {string} answer - Answer text.
+ * @returns {Promise<Object>} An object with a `suggestions` array of edit proposals.
+ */
+export async function suggestAnswerImprovements(question, answer) {
+  const { input, instructions } = await buildPrompt('suggest-answer-improvements', {
+    question,
+    framework: FRAMEWORKS[question.framework],
+    words: countWords(answer),
+    answer,
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            type: { type: 'string', enum: ANSWER_SUGGESTION_TYPES },
+            location: { type: 'string', description: 'Brief excerpt' },
+            suggestion: { type: 'string' }
+          },
+          required: ['type', 'location', 'suggestion']
+        }
+      }
+    },
+    required: ['suggestions']
+  };
+  return sendToLLM({ input, schema, instructions });
+}
+
+/**
+ * Applies approved edits to an answer using the LLM, changing nothing else.
+ * @param {string} answer - Answer text.
+ * @param {Array<Object>} suggestions - Approved edits.
+ * @returns {Promise<string>} Revised answer.
+ */
+export async function applyAnswerEdits(answer, suggestions) {
+  const { input, instructions } = await buildPrompt('apply-answer-edits', { answer, suggestionsJSON: JSON.stringify(suggestions, null, 2) });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: { answer: { type: 'string' } },
+    required: ['answer']
+  };
+  const { answer: revised } = await sendToLLM({ input, schema, instructions });
+  return revised.trim();
+}
+
+/**
+ * Formats the answers as one Markdown document, with word counts.
+ * @param {Array<Object>} answers - `{ question, wordLimit, answer }` per question.
+ * @returns {string} Markdown.
+ */
+export function formatAnswersMarkdown(answers) {
+  return answers
+    .map((a) => `## ${a.question}\n\n${a.answer}\n\n*${countWords(a.answer)}/${a.wordLimit} words*`)
+    .join('\n\n') + '\n';
+}
@@ -0,0 +1,68 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// ————————————————————————————————————————————————
+// Unattended review: rule-based approval and the pending-review file
+// ————————————————————————————————————————————————
+export const AUTO_APPROVE_ACTIONS = ['apply', 'defer', 'discard'];
+
+/** Suggestions deferred by a non-interactive run, kept in its run folder for `review <run>`. */
+export const PENDING_FILE = 'pending-review.json';
+
+/**
+ * Merges the `autoApprove` section of a job config over the default, which applies
+ * nothing and defers everything.
+ * @param {Object} [autoApprove] - `autoApprove` from job.config.json:
+ *   `{ apply: [types], defer: [types], discard: [types], default: action }`.
+ * @returns {Object} `{ rules: Map<type, action>, default: action }`.
+ */
+export function resolveAutoApprove(autoApprove = {}) {
+  const rules = new Map();
+  for (const action of AUTO_APPROVE_ACTIONS) {
+    for (const type of autoApprove[action] || []) rules.set(type, action);
+  }
+  return { rules, default: autoApprove.default || 'defer' };
+}
+
+/**
+ * Sorts suggestions by the action the policy gives their type.
+ * @param {Array<Object>} suggestions - Suggestions with a `type`.
+ * @param {Object} policy - Output of `resolveAutoApprove`.
+ * @returns {Object} `{ apply, defer, discard }`, each a list of suggestions.
+ */
+export function triageSuggestions(suggestions, policy) {
+  const out = { apply: [], defer: [], discard: [] };
+  for (const s of suggestions) out[policy.rules.get(s.type) ?? policy.default].push(s);
+  return out;
+}
+
+/**
+ * Reads a run's pending-review file.
+ * @param {string} runDir - Run folder.
+ * @returns {Promise<Array<Object>>} Pending items as `{ document, id?, suggestions }`; empty if none.
+ */
+export async function loadPending(runDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(runDir, PENDING_FILE), 'utf8')).pending;
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Writes a run's pending-review file, or removes it when nothing is left to review.
+ * @param {string} runDir - Run folder.
+ * @param {Array<Object>} pending - Items as `{ document, id?, suggestions }`, where `document` is
+ *   `cv`, `covering-letter` or `answer` (with the answer's question `id`).
+ * @returns {Promise<void>}
+ */
+export async function savePending(runDir, pending) {
+  const p = path.join(runDir, PENDING_FILE);
+  const left = pending.filter((item) => item.suggestions.length);
+  if (!left.length) {
+    await fs.rm(p, { force: true });
+    return;
+  }
+  await fs.writeFile(p, JSON.stringify({ pending: left }, null, 2) + '\n', 'utf8');
+}
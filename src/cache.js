@@ -0,0 +1,111 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// ————————————————————————————————————————————————
+// Record/replay cache for LLM calls
+// ————————————————————————————————————————————————
+/**
+ * Cache modes:
+ *   off        — no caching
+ *   read       — use cached responses; call the LLM on a miss without storing the result
+ *   write      — always call the LLM and store (overwrite) the response (`--record`)
+ *   readwrite  — use cached responses; call and store on a miss
+ *   replay     — use cached responses only; a miss is an error (`--replay`)
+ */
+export const CACHE_MODES = ['off', 'read', 'write', 'readwrite', 'replay'];
+
+const SESSION_FILE = 'session.json';
+
+/**
+ * Hashes the parts of a request that determine the model's answer.
+ * @param {Object} request - `{ model, instructions, input, schema, temperature }`.
+ * @returns {string} Hex SHA-256 digest.
+ */
+export function cacheKey({ model, instructions, input, schema, temperature }) {
+  const material = JSON.stringify({
+    model,
+    instructions: instructions ?? null,
+    input,
+    schema: schema ?? null,
+    temperature,
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Creates an on-disk cache of LLM responses. Each entry is stored as `<dir>/<key>.json`
+ * with the request, the raw response text and the reported usage, so a replay parses
+ * exactly the same text as the recorded run.
+ * @param {Object} params - Cache settings.
+ * @param {string} params.dir - Cache folder.
+ * @param {string} params.mode - One of CACHE_MODES.
+ * @returns {Object|null} Cache, or null when the mode is `off`.
+ * @throws {Error} If the mode is unknown.
+ */
+export function createLLMCache({ dir, mode }) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown cache mode "${mode}". Use one of: ${CACHE_MODES.join(', ')}`);
+  }
+  if (mode === 'off') return null;
+
+  const file = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    mode,
+    dir,
+    canRead: mode !== 'write',
+    canWrite: mode === 'write' || mode === 'readwrite',
+    strict: mode === 'replay',
+
+    async get(request) {
+      try {
+        return JSON.parse(await fs.readFile(file(cacheKey(request)), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async put(request, { text, usage, refusal, truncated }) {
+      await fs.mkdir(dir, { recursive: true });
+      const { model, instructions, input, schema, temperature } = request;
+      const entry = {
+        key: cacheKey(request),
+        recordedAt: new Date().toISOString(),
+        request: { model, instructions, input, schema, temperature },
+        text,
+        usage: usage ?? null,
+        ...(refusal ? { refusal } : {}),
+        ...(truncated ? { truncated } : {}),
+      };
+      await fs.writeFile(file(entry.key), JSON.stringify(entry, null, 2) + '\n', 'utf8');
+    },
+  };
+}
+
+/**
+ * Records when a recording session started, so a replay can pin the clock
+ * to the same moment and build identical date-bearing prompts.
+ * @param {string} dir - Cache folder.
+ * @param {Date} when - Session start time.
+ * @returns {Promise<void>}
+ */
+export async function writeSession(dir, when) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, SESSION_FILE), JSON.stringify({ recordedAt: when.toISOString() }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Reads the recording session written by `writeSession`.
+ * @param {string} dir - Cache folder.
+ * @returns {Promise<Object|null>} `{ recordedAt }`, or null if there is none.
+ */
+export async function readSession(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, SESSION_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
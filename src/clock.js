@@ -0,0 +1,28 @@
+// ————————————————————————————————————————————————
+// Clock used for dates that end up in prompts and documents
+// ————————————————————————————————————————————————
+let pinned = null;
+
+/**
+ * Returns the current time, or the pinned time during a replay.
+ * @returns {Date} Current (or pinned) date and time.
+ */
+export function now() {
+  return pinned ? new Date(pinned) : new Date();
+}
+
+/**
+ * Pins the clock so prompts and documents are dated like a recorded run.
+ * @param {Date|string|null} date - Time to pin to, or null to unpin.
+ */
+export function pinClock(date) {
+  pinned = date ? new Date(date).getTime() : null;
+}
+
+/**
+ * Returns today's date as `yyyy-mm-dd` (UTC).
+ * @returns {string} Date string.
+ */
+export function today() {
+  return now().toISOString().slice(0, 10);
+}
@@ -0,0 +1,102 @@
+// ————————————————————————————————————————————————
+// Merging imported CV data into cv.base.json
+// ————————————————————————————————————————————————
+const normalise = (s) => String(s ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Whether two partial ISO dates agree as far as the less precise one goes, so `2021-06`
+ * matches `2021-06-01` and `2021`.
+ */
+const sameDate = (a, b) => {
+  const [x, y] = [String(a ?? ''), String(b ?? '')];
+  const n = Math.min(x.length, y.length);
+  return n > 0 && x.slice(0, n) === y.slice(0, n);
+};
+
+/**
+ * Finds the existing entry an imported one stands for.
+ * A role matches on its start date (at the precision both have) and either its title or its
+ * employer; a qualification matches on its title, and on its institution when both have one.
+ */
+const SAME = {
+  pastJobRoles: (a, b) => sameDate(a.from, b.from)
+    && (normalise(a.jobTitle) === normalise(b.jobTitle) || (a.employer && b.employer && normalise(a.employer) === normalise(b.employer))),
+  qualifications: (a, b) => normalise(a.title) === normalise(b.title)
+    && (!a.institution || !b.institution || normalise(a.institution) === normalise(b.institution)),
+};
+
+const LABEL = {
+  pastJobRoles: (r) => `role "${r.jobTitle}" (from ${r.from})`,
+  qualifications: (q) => `qualification "${q.title}"`,
+};
+
+/**
+ * Merges imported CV data into existing data without overwriting anything. New entries are
+ * added, missing fields of matching entries are filled in, and fields that differ are kept
+ * as they are and reported as conflicts. Text is compared ignoring case and punctuation.
+ * @param {Object} existing - Current cv.base.json (may be empty).
+ * @param {Object} incoming - Imported CV data in the same shape.
+ * @returns {Object} `{ cv, added, conflicts }` — the merged data; what was added, as
+ *   `{ section, item, field? }`; and the conflicts, as `{ section, item, field, existing, incoming }`.
+ */
+export function mergeCVData(existing, incoming) {
+  const cv = structuredClone(existing);
+  const added = [];
+  const conflicts = [];
+
+  const personalDetails = { ...cv.personalDetails };
+  for (const [field, value] of Object.entries(incoming.personalDetails || {})) {
+    if (personalDetails[field] === undefined) {
+      personalDetails[field] = value;
+      added.push({ section: 'personalDetails', item: field });
+    } else if (normalise(personalDetails[field]) !== normalise(value)) {
+      conflicts.push({ section: 'personalDetails', item: field, field, existing: personalDetails[field], incoming: value });
+    }
+  }
+  if (Object.keys(personalDetails).length) cv.personalDetails = personalDetails;
+
+  for (const section of ['skills', 'achievements']) {
+    const seen = new Set((cv[section] || []).map(normalise));
+    for (const text of incoming[section] || []) {
+      if (seen.has(normalise(text))) continue;
+      seen.add(normalise(text));
+      cv[section] = [...(cv[section] || []), text];
+      added.push({ section, item: `"${text}"` });
+    }
+  }
+
+  for (const section of ['pastJobRoles', 'qualifications']) {
+    for (const entry of incoming[section] || []) {
+      const match = (cv[section] || []).find((e) => SAME[section](e, entry));
+      if (!match) {
+        cv[section] = [...(cv[section] || []), entry];
+        added.push({ section, item: LABEL[section](entry) });
+        continue;
+      }
+      for (const [field, value] of Object.entries(entry)) {
+        if (match[field] === undefined) {
+          match[field] = value;
+          added.push({ section, item: LABEL[section](match), field });
+        } else if (normalise(match[field]) !== normalise(value)) {
+          conflicts.push({ section, item: LABEL[section](match), field, existing: match[field], incoming: value });
+        }
+      }
+    }
+  }
+  return { cv, added, conflicts };
+}
+
+/**
+ * Formats merge conflicts for the terminal, one per line.
+ * @param {Array<Object>} conflicts - Conflicts from `mergeCVData`.
+ * @returns {string} Report text.
+ */
+export function formatConflicts(conflicts) {
+  const clip = (v) => {
+    const s = String(v);
+    return JSON.stringify(s.length > 80 ? `${s.slice(0, 77)}...` : s);
+  };
+  return conflicts
+    .map((c) => `  ${c.section === 'personalDetails' ? `personalDetails.${c.field}` : `${c.item} ${c.field}`}: kept ${clip(c.existing)}, import has ${clip(c.incoming)}`)
+    .join('\n');
+}
@@ -0,0 +1,160 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isEmpty, renderTemplate, stripStandaloneTags } from './template.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'cv');
+
+// ————————————————————————————————————————————————
+// Deterministic, template-based CV rendering
+// ————————————————————————————————————————————————
+// Template sections that are backed by CV data. A section whose data is empty
+// is left out; sections with other names are static text and always kept.
+const SECTION_DATA = {
+  skills: 'skills',
+  achievements: 'achievements',
+  experience: 'pastJobRoles',
+  qualifications: 'qualifications',
+};
+
+/** Section headings the built-in template uses unless a locale or the config names them otherwise. */
+export const DEFAULT_HEADINGS = {
+  skills: 'Key skills',
+  achievements: 'Selected achievements',
+  experience: 'Experience',
+  qualifications: 'Qualifications',
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Formats a partial ISO date (`YYYY`, `YYYY-MM` or `YYYY-MM-DD`) with a pattern made of
+ * `dd`, `mm`, `mmm` (Jan), `mmmm` (January), `yy` and `yyyy`. Parts the date doesn't have
+ * are dropped together with their separator, so `2021-06` with `dd/mm/yyyy` gives `06/2021`.
+ * @param {string} value - Partial ISO date; other values (e.g. "Present") are returned as-is.
+ * @param {string} [pattern] - Date pattern (default `dd/mm/yyyy`).
+ * @returns {string} Formatted date.
+ */
+export function formatDate(value, pattern = 'dd/mm/yyyy') {
+  const m = String(value ?? '').match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!m) return value ?? '';
+  const [, year, month, day] = m;
+  const parts = {
+    yyyy: year,
+    yy: year.slice(2),
+    mmmm: month && MONTHS[Number(month) - 1],
+    mmm: month && MONTHS[Number(month) - 1].slice(0, 3),
+    mm: month,
+    dd: day,
+  };
+  const tokens = pattern.split(/(yyyy|yy|mmmm|mmm|mm|dd)/).filter((t) => t !== '');
+  const out = [];
+  let pendingSeparator = '';
+  for (const t of tokens) {
+    if (t in parts) {
+      if (!parts[t]) { pendingSeparator = ''; continue; }
+      if (out.length) out.push(pendingSeparator);
+      out.push(parts[t]);
+      pendingSeparator = '';
+    } else {
+      pendingSeparator = t;
+    }
+  }
+  return out.join('');
+}
+
+/**
+ * Splits a template into its preamble and named sections, marked by
+ * `<!-- section: name -->` lines.
+ * @param {string} source - Template source.
+ * @returns {{ preamble: string, sections: Array<{ name: string, body: string }> }} Parsed template.
+ */
+function parseSections(source) {
+  const parts = source.split(/^<!--\s*section:\s*([\w-]+)\s*-->[ \t]*\r?\n?/m);
+  const sections = [];
+  for (let i = 1; i < parts.length; i += 2) sections.push({ name: parts[i], body: parts[i + 1] });
+  return { preamble: parts[0], sections };
+}
+
+/**
+ * Builds the view a template is rendered with from the tailored CV object.
+ * @param {Object} cv - Tailored CV (`personalDetails`, `skills`, `achievements`, `pastJobRoles`, `qualifications`).
+ * @param {Object} labels - `{ dateFormat, headings, present }`: date pattern for role dates, section
+ *   headings, and the word for a role with no end date.
+ * @returns {Object} Template view.
+ */
+function buildView(cv, { dateFormat, headings, present }) {
+  // A photo is a file reference, not a way to get in touch.
+  const { name, photo, ...rest } = cv.personalDetails || {};
+  return {
+    ...cv,
+    personalDetails: cv.personalDetails || {},
+    name,
+    contact: Object.values(rest).filter((v) => typeof v === 'string' && v.trim()).join(' · '),
+    headings,
+    pastJobRoles: (cv.pastJobRoles || []).map((role) => ({
+      ...role,
+      from: formatDate(role.from, dateFormat),
+      to: role.to ? formatDate(role.to, dateFormat) : present,
+    })),
+  };
+}
+
+/**
+ * Resolves a template name or path: a bare name refers to a built-in template in
+ * `templates/cv/`, anything else is a file path relative to `baseDir`.
+ * @param {string} template - Template name or path.
+ * @param {string} [baseDir] - Folder relative paths are resolved against.
+ * @returns {string} Absolute template path.
+ */
+export function resolveCVTemplatePath(template = 'default', baseDir = process.cwd()) {
+  return /^[\w-]+$/.test(template) ? path.join(TEMPLATE_DIR, `${template}.md`) : path.resolve(baseDir, template);
+}
+
+/**
+ * Renders the tailored CV with a local template instead of the LLM, so the factual
+ * layout is identical on every run.
+ * @param {Object} cv - Tailored CV object produced by `draftCV`.
+ * @param {Object} [options] - Rendering options (the `cv` section of job.config.json).
+ * @param {string} [options.template] - Template name or path (default `default`).
+ * @param {string} [options.dateFormat] - Date pattern (default `dd/mm/yyyy`).
+ * @param {Array<string>} [options.sections] - Section order; sections not listed are left out.
+ * @param {Array<string>} [options.order] - Preferred order of sections (from the locale), used when
+ *   `sections` is not given. The listed sections the template has swap places to follow it; the
+ *   rest stay where they are.
+ * @param {Object} [options.headings] - Section headings, available to templates as `{{headings.<section>}}`.
+ * @param {string} [options.present] - End date shown for a current role (default `Present`).
+ * @param {string} [options.baseDir] - Folder relative template paths are resolved against.
+ * @returns {Promise<string>} CV in Markdown format.
+ * @throws {Error} If the template is missing or malformed, or lists an unknown section.
+ */
+export async function renderCVFromTemplate(cv, { template, dateFormat = 'dd/mm/yyyy', sections, order, headings, present = 'Present', baseDir } = {}) {
+  const source = await fs.readFile(resolveCVTemplatePath(template, baseDir), 'utf8');
+  const parsed = parseSections(stripStandaloneTags(source));
+
+  let chosen = parsed.sections;
+  if (sections) {
+    chosen = sections.map((name) => {
+      const section = parsed.sections.find((s) => s.name === name);
+      if (!section) throw new Error(`CV template has no section "${name}".`);
+      return section;
+    });
+  } else if (order) {
+    const listed = parsed.sections
+      .filter((s) => order.includes(s.name))
+      .sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+    chosen = parsed.sections.map((s) => (order.includes(s.name) ? listed.shift() : s));
+  }
+
+  const view = buildView(cv, { dateFormat, headings: { ...DEFAULT_HEADINGS, ...headings }, present });
+  const body = chosen
+    .filter((s) => !(s.name in SECTION_DATA) || !isEmpty(view[SECTION_DATA[s.name]]))
+    .map((s) => renderTemplate(s.body, [view]).trim())
+    .filter(Boolean);
+
+  return [renderTemplate(parsed.preamble, [view]).trim(), ...body]
+    .filter(Boolean)
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n') + '\n';
+}
@@ -0,0 +1,114 @@
+import { stdout as output } from 'node:process';
+
+// ————————————————————————————————————————————————
+// Line-level diff of LLM edits, reviewed hunk by hunk
+// ————————————————————————————————————————————————
+const paint = (code) => (s) => (output.isTTY ? `\x1b[${code}m${s}\x1b[0m` : s);
+const red = paint('31');
+const green = paint('32');
+const cyan = paint('36');
+const yellow = paint('1;33');
+const dim = paint('2');
+
+/**
+ * Diffs two texts line by line (longest common subsequence).
+ * @param {string} before - Original text.
+ * @param {string} after - Edited text.
+ * @returns {Array<Object>} Segments in document order: `{ equal: [lines] }` for unchanged runs and
+ *   `{ removed: [lines], added: [lines] }` for changes (hunks).
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Skip the common prefix and suffix; the LCS table only covers the middle.
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head += 1;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail += 1;
+  const am = a.slice(head, a.length - tail);
+  const bm = b.slice(head, b.length - tail);
+
+  const lcs = Array.from({ length: am.length + 1 }, () => new Array(bm.length + 1).fill(0));
+  for (let i = am.length - 1; i >= 0; i -= 1) {
+    for (let j = bm.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = am[i] === bm[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (kind, line) => {
+    const last = segments.at(-1);
+    if (kind === 'equal') {
+      if (last?.equal) last.equal.push(line);
+      else segments.push({ equal: [line] });
+    } else {
+      const hunk = last && !last.equal ? last : (segments.push({ removed: [], added: [] }), segments.at(-1));
+      hunk[kind].push(line);
+    }
+  };
+
+  a.slice(0, head).forEach((l) => push('equal', l));
+  let i = 0;
+  let j = 0;
+  while (i < am.length || j < bm.length) {
+    if (i < am.length && j < bm.length && am[i] === bm[j]) { push('equal', am[i]); i += 1; j += 1; }
+    else if (j < bm.length && (i === am.length || lcs[i][j + 1] >= lcs[i + 1][j])) { push('added', bm[j]); j += 1; }
+    else { push('removed', am[i]); i += 1; }
+  }
+  a.slice(a.length - tail).forEach((l) => push('equal', l));
+  return segments;
+}
+
+/**
+ * Returns the hunks (changed segments) of a diff.
+ * @param {Array<Object>} segments - Output of `diffLines`.
+ * @returns {Array<Object>} Hunks, in document order.
+ */
+export function hunksOf(segments) {
+  return segments.filter((s) => !s.equal);
+}
+
+/**
+ * Rebuilds the document keeping only the accepted hunks; rejected hunks keep the original lines.
+ * @param {Array<Object>} segments - Output of `diffLines`.
+ * @param {Set<Object>} accepted - Accepted hunk objects.
+ * @returns {string} Resulting text.
+ */
+export function applyHunks(segments, accepted) {
+  return segments
+    .flatMap((s) => s.equal ?? (accepted.has(s) ? s.added : s.removed))
+    .join('\n');
+}
+
+/**
+ * Formats one hunk with a little unchanged context either side, coloured when writing to a terminal.
+ * @param {Array<Object>} segments - Output of `diffLines`.
+ * @param {Object} hunk - One of the segments.
+ * @param {number} [context] - Unchanged lines to show either side.
+ * @returns {string} Formatted hunk.
+ */
+export function formatHunk(segments, hunk, context = 2) {
+  const at = segments.indexOf(hunk);
+  const before = segments[at - 1]?.equal?.slice(-context) ?? [];
+  const after = segments[at + 1]?.equal?.slice(0, context) ?? [];
+  return [
+    ...before.map((l) => dim(`  ${l}`)),
+    ...hunk.removed.map((l) => red(`- ${l}`)),
+    ...hunk.added.map((l) => green(`+ ${l}`)),
+    ...after.map((l) => dim(`  ${l}`)),
+  ].join('\n');
+}
+
+/**
+ * Formats the label shown above a hunk: the suggestions it implements, or a warning if none.
+ * @param {number} n - Hunk number (1-based).
+ * @param {number} total - Number of hunks.
+ * @param {Array<Object>} suggestions - Suggestions this hunk implements.
+ * @returns {string} Label text.
+ */
+export function formatHunkLabel(n, total, suggestions) {
+  const title = cyan(`Change ${n}/${total}`);
+  if (!suggestions.length) return `${title} ${yellow('[WARN] matches none of the approved suggestions')}`;
+  return [title, ...suggestions.map((s) => `  implements [${s.type}] ${s.suggestion}`)].join('\n');
+}
@@ -0,0 +1,527 @@
+import { Marked } from 'marked';
+import PDFDocument from 'pdfkit';
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  TextRun,
+} from 'docx';
+import JSZip from 'jszip';
+import { OPTIONAL_PERSONAL_DETAILS } from './locale.js';
+import { saveRunFile } from './runs.js';
+
+// A private instance, so the terminal renderer set up by polishCV never leaks into HTML output.
+const markdown = new Marked({ gfm: true });
+
+// ————————————————————————————————————————————————
+// Themes
+// ————————————————————————————————————————————————
+/**
+ * Built-in document themes. Colours are hex without `#` (the form DOCX expects),
+ * PDF fonts are PDFKit's standard fonts so no font files are needed.
+ */
+export const THEMES = {
+  classic: {
+    description: 'Serif body, navy headings',
+    htmlFont: 'Georgia, "Times New Roman", serif',
+    docxFont: 'Georgia',
+    pdfFonts: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic', boldItalic: 'Times-BoldItalic' },
+    accent: '1F3A5F',
+    text: '222222',
+    fontSize: 11,
+  },
+  modern: {
+    description: 'Sans-serif body, teal headings',
+    htmlFont: '"Helvetica Neue", Arial, sans-serif',
+    docxFont: 'Calibri',
+    pdfFonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique' },
+    accent: '0F766E',
+    text: '1F2937',
+    fontSize: 10.5,
+  },
+  minimal: {
+    description: 'Compact sans-serif, black and white',
+    htmlFont: 'Arial, sans-serif',
+    docxFont: 'Arial',
+    pdfFonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique' },
+    accent: '000000',
+    text: '000000',
+    fontSize: 10,
+  },
+};
+
+export const EXPORT_FORMATS = ['html', 'docx', 'pdf'];
+
+/** Page sizes, as CSS `@page` names, PDFKit names and DOCX twips. */
+export const PAPER_SIZES = {
+  A4: { css: 'A4', pdf: 'A4', docx: { width: 11906, height: 16838 } },
+  Letter: { css: 'letter', pdf: 'LETTER', docx: { width: 12240, height: 15840 } },
+};
+
+/**
+ * Looks up a theme by name.
+ * @param {string} name - Theme name (see THEMES).
+ * @returns {Object} Theme definition.
+ * @throws {Error} If the theme does not exist.
+ */
+export function resolveTheme(name = 'classic') {
+  const theme = THEMES[name];
+  if (!theme) {
+    throw new Error(`Unknown theme "${name}". Available themes: ${Object.keys(THEMES).join(', ')}`);
+  }
+  return theme;
+}
+
+/**
+ * Checks a list of export formats.
+ * @param {Array<string>} [formats] - Formats to render (default all).
+ * @returns {Array<string>} The formats.
+ * @throws {Error} If any format is not one of EXPORT_FORMATS.
+ */
+export function resolveFormats(formats = EXPORT_FORMATS) {
+  const unknown = formats.filter((f) => !EXPORT_FORMATS.includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown export format ${unknown.map((f) => `"${f}"`).join(', ')}. Supported formats: ${EXPORT_FORMATS.join(', ')} (separate several with spaces)`);
+  }
+  return formats;
+}
+
+// ————————————————————————————————————————————————
+// Markdown → simple block model
+// ————————————————————————————————————————————————
+function decodeEntities(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Flattens marked inline tokens into styled text runs.
+ * @param {Array<Object>} tokens - Inline tokens from the marked lexer.
+ * @param {Object} [style] - Inherited style flags (`bold`, `italic`, `link`).
+ * @returns {Array<Object>} Runs of `{ text, bold, italic, code, link, br }`.
+ */
+function inlineRuns(tokens = [], style = {}) {
+  const runs = [];
+  for (const t of tokens) {
+    switch (t.type) {
+      case 'strong':
+        runs.push(...inlineRuns(t.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(t.tokens, { ...style, italic: true }));
+        break;
+      case 'del':
+        runs.push(...inlineRuns(t.tokens, style));
+        break;
+      case 'link':
+        runs.push(...inlineRuns(t.tokens, { ...style, link: t.href }));
+        break;
+      case 'codespan':
+        runs.push({ ...style, text: decodeEntities(t.text), code: true });
+        break;
+      case 'br':
+        runs.push({ ...style, text: '', br: true });
+        break;
+      case 'html':
+        break;
+      default:
+        if (t.tokens) runs.push(...inlineRuns(t.tokens, style));
+        else if (t.text) runs.push({ ...style, text: decodeEntities(t.text) });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Converts Markdown into a flat list of blocks every renderer understands:
+ * headings, paragraphs, list items, quotes, code and horizontal rules.
+ * @param {string} md - Markdown source.
+ * @returns {Array<Object>} Blocks.
+ */
+function toBlocks(md) {
+  const blocks = [];
+
+  const walk = (tokens, level = 0) => {
+    for (const t of tokens) {
+      switch (t.type) {
+        case 'heading':
+          blocks.push({ type: 'heading', depth: t.depth, runs: inlineRuns(t.tokens) });
+          break;
+        case 'paragraph':
+        case 'text':
+          blocks.push({ type: 'paragraph', runs: inlineRuns(t.tokens || [{ type: 'text', text: t.text }]) });
+          break;
+        case 'list':
+          t.items.forEach((item, i) => {
+            const [first, ...rest] = item.tokens;
+            const runs = first && (first.type === 'text' || first.type === 'paragraph') ? inlineRuns(first.tokens) : [];
+            blocks.push({
+              type: 'listItem',
+              ordered: t.ordered,
+              number: (Number(t.start) || 1) + i,
+              level,
+              runs,
+            });
+            walk(runs.length ? rest : item.tokens, level + 1);
+          });
+          break;
+        case 'blockquote':
+          for (const inner of t.tokens) {
+            if (inner.tokens) blocks.push({ type: 'quote', runs: inlineRuns(inner.tokens) });
+          }
+          break;
+        case 'code':
+          blocks.push({ type: 'code', text: t.text });
+          break;
+        case 'table':
+          blocks.push({ type: 'paragraph', runs: t.header.flatMap((c, i) => [...(i ? [{ text: ' | ' }] : []), ...inlineRuns(c.tokens, { bold: true })]) });
+          for (const row of t.rows) {
+            blocks.push({ type: 'paragraph', runs: row.flatMap((c, i) => [...(i ? [{ text: ' | ' }] : []), ...inlineRuns(c.tokens)]) });
+          }
+          break;
+        case 'hr':
+          blocks.push({ type: 'rule' });
+          break;
+        default:
+          break;
+      }
+    }
+  };
+
+  walk(markdown.lexer(md));
+  return blocks;
+}
+
+// ————————————————————————————————————————————————
+// Renderers
+// ————————————————————————————————————————————————
+function escapeHTML(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders Markdown to a standalone, styled HTML page (print-ready via `@page`).
+ * @param {string} md - Markdown source.
+ * @param {Object} theme - Theme definition.
+ * @param {string} title - Document title.
+ * @param {Object} page - `{ lang, paper }`: document language tag and one of PAPER_SIZES.
+ * @returns {string} HTML document.
+ */
+function renderHTML(md, theme, title, { lang, paper }) {
+  const body = markdown.parse(md);
+  return `<!doctype html>
+<html lang="${escapeHTML(lang)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  @page { size: ${paper.css}; margin: 20mm; }
+  body { font-family: ${theme.htmlFont}; font-size: ${theme.fontSize}pt; color: #${theme.text}; line-height: 1.45; margin: 0; }
+  main { max-width: 180mm; margin: 0 auto; padding: 12mm 0; }
+  h1, h2, h3, h4 { color: #${theme.accent}; line-height: 1.2; margin: 1.1em 0 0.4em; }
+  h1 { font-size: 1.9em; margin-top: 0; }
+  h2 { font-size: 1.35em; border-bottom: 1px solid #${theme.accent}; padding-bottom: 0.15em; }
+  h3 { font-size: 1.15em; }
+  p, ul, ol { margin: 0 0 0.6em; }
+  a { color: #${theme.accent}; }
+  hr { border: 0; border-top: 1px solid #${theme.accent}; }
+  blockquote { margin: 0 0 0.6em; padding-left: 1em; border-left: 3px solid #${theme.accent}; font-style: italic; }
+</style>
+</head>
+<body>
+<main>
+${body}</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Makes a DOCX package depend only on its content and `date`, so a replayed run writes the
+ * same bytes: the core properties' created/modified times and every zip entry's time are set
+ * to `date`, and the random IDs docx gives hyperlink relationships are renumbered in order.
+ * @param {Buffer} buffer - DOCX file from `Packer`.
+ * @param {Date} date - Date to stamp.
+ * @returns {Promise<Buffer>} DOCX file contents.
+ */
+async function pinDOCX(buffer, date) {
+  const zip = await JSZip.loadAsync(buffer);
+  const core = await zip.file('docProps/core.xml').async('string');
+  zip.file('docProps/core.xml', core.replace(/(<dcterms:(?:created|modified)\b[^>]*>)[^<]*/g, `$1${date.toISOString()}`));
+
+  const relsPath = 'word/_rels/document.xml.rels';
+  const rels = await zip.file(relsPath).async('string');
+  const ids = [...rels.matchAll(/Id="(rId(?!\d+")[^"]+)"/g)].map((m) => m[1]);
+  if (ids.length) {
+    const renumber = (xml) => ids.reduce((out, id, i) => out.split(`"${id}"`).join(`"rIdLink${i + 1}"`), xml);
+    zip.file(relsPath, renumber(rels));
+    zip.file('word/document.xml', renumber(await zip.file('word/document.xml').async('string')));
+  }
+
+  for (const entry of Object.values(zip.files)) entry.date = date;
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Renders Markdown to a DOCX file.
+ * @param {string} md - Markdown source.
+ * @param {Object} theme - Theme definition.
+ * @param {string} title - Document title.
+ * @param {Date} date - Creation date recorded in the file.
+ * @param {Object} paper - One of PAPER_SIZES.
+ * @returns {Promise<Buffer>} DOCX file contents.
+ */
+async function renderDOCX(md, theme, title, date, paper) {
+  const size = Math.round(theme.fontSize * 2); // DOCX sizes are in half-points
+  const headingLevels = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+  let orderedInstance = 0;
+
+  const children = (runs) => runs.map((r) => {
+    if (r.br) return new TextRun({ text: '', break: 1 });
+    const run = new TextRun({
+      text: r.text,
+      bold: r.bold,
+      italics: r.italic,
+      font: r.code ? 'Courier New' : undefined,
+      color: r.link ? theme.accent : undefined,
+      underline: r.link ? {} : undefined,
+    });
+    return r.link ? new ExternalHyperlink({ link: r.link, children: [run] }) : run;
+  });
+
+  const paragraphs = [];
+  let previous = null;
+  for (const b of toBlocks(md)) {
+    switch (b.type) {
+      case 'heading':
+        paragraphs.push(new Paragraph({
+          heading: headingLevels[Math.min(b.depth, 4) - 1],
+          children: children(b.runs),
+          border: b.depth === 2 ? { bottom: { color: theme.accent, space: 1, style: BorderStyle.SINGLE, size: 6 } } : undefined,
+        }));
+        break;
+      case 'listItem':
+        if (b.ordered && !(previous?.type === 'listItem' && previous.ordered)) orderedInstance += 1;
+        paragraphs.push(new Paragraph({
+          children: children(b.runs),
+          ...(b.ordered
+            ? { numbering: { reference: 'ordered', level: Math.min(b.level, 2), instance: orderedInstance } }
+            : { bullet: { level: Math.min(b.level, 2) } }),
+        }));
+        break;
+      case 'quote':
+        paragraphs.push(new Paragraph({ indent: { left: 720 }, children: children(b.runs.map((r) => ({ ...r, italic: true }))) }));
+        break;
+      case 'code':
+        paragraphs.push(new Paragraph({
+          children: b.text.split('\n').map((line, i) => new TextRun({ text: line, font: 'Courier New', break: i ? 1 : 0 })),
+        }));
+        break;
+      case 'rule':
+        paragraphs.push(new Paragraph({ border: { bottom: { color: theme.accent, space: 1, style: BorderStyle.SINGLE, size: 6 } } }));
+        break;
+      default:
+        paragraphs.push(new Paragraph({ children: children(b.runs) }));
+    }
+    previous = b;
+  }
+
+  const heading = (scale) => ({ run: { font: theme.docxFont, size: Math.round(size * scale), bold: true, color: theme.accent } });
+  const doc = new Document({
+    title,
+    styles: {
+      default: {
+        document: { run: { font: theme.docxFont, size, color: theme.text }, paragraph: { spacing: { after: 120 } } },
+        heading1: heading(1.9),
+        heading2: heading(1.35),
+        heading3: heading(1.15),
+        heading4: heading(1),
+      },
+    },
+    numbering: {
+      config: [{
+        reference: 'ordered',
+        levels: [0, 1, 2].map((level) => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+        })),
+      }],
+    },
+    sections: [{ properties: { page: { size: paper.docx } }, children: paragraphs }],
+  });
+  return pinDOCX(await Packer.toBuffer(doc), date);
+}
+
+/**
+ * Renders Markdown to a PDF using PDFKit's built-in fonts.
+ * @param {string} md - Markdown source.
+ * @param {Object} theme - Theme definition.
+ * @param {string} title - Document title.
+ * @param {Date} date - Creation date recorded in the PDF (it also seeds the file ID).
+ * @param {Object} paper - One of PAPER_SIZES.
+ * @returns {Promise<Buffer>} PDF file contents.
+ */
+function renderPDF(md, theme, title, date, paper) {
+  const doc = new PDFDocument({
+    size: paper.pdf,
+    margins: { top: 56, bottom: 56, left: 60, right: 60 },
+    info: { Title: title, CreationDate: date, ModDate: date },
+  });
+  const chunks = [];
+  doc.on('data', (c) => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const fullWidth = doc.page.width - left - doc.page.margins.right;
+  const fontFor = (r) => {
+    if (r.code) return 'Courier';
+    if (r.bold && r.italic) return theme.pdfFonts.boldItalic;
+    if (r.bold) return theme.pdfFonts.bold;
+    if (r.italic) return theme.pdfFonts.italic;
+    return theme.pdfFonts.regular;
+  };
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(left + fullWidth, doc.y).lineWidth(0.75).strokeColor(`#${theme.accent}`).stroke();
+  };
+  const writeRuns = (runs, { size = theme.fontSize, color = theme.text, indent = 0, force = {} } = {}) => {
+    const parts = runs
+      .map((r) => ({ ...r, ...force, text: r.br ? '\n' : r.text }))
+      .filter((r) => r.text);
+    if (!parts.length) return;
+    doc.fontSize(size);
+    parts.forEach((r, i) => {
+      doc.font(fontFor(r)).fillColor(`#${r.link ? theme.accent : color}`);
+      const options = { continued: i < parts.length - 1, link: r.link || null, underline: Boolean(r.link) };
+      if (i === 0) doc.text(r.text, left + indent, doc.y, { ...options, width: fullWidth - indent });
+      else doc.text(r.text, options);
+    });
+    doc.x = left;
+  };
+
+  for (const b of toBlocks(md)) {
+    switch (b.type) {
+      case 'heading': {
+        const scale = [1.9, 1.35, 1.15, 1][Math.min(b.depth, 4) - 1];
+        doc.moveDown(b.depth === 1 ? 0 : 0.5);
+        writeRuns(b.runs, { size: theme.fontSize * scale, color: theme.accent, force: { bold: true } });
+        if (b.depth === 2) { doc.moveDown(0.1); rule(); }
+        doc.moveDown(0.3);
+        break;
+      }
+      case 'listItem': {
+        const marker = b.ordered ? `${b.number}. ` : '•  ';
+        writeRuns([{ text: marker }, ...b.runs], { indent: 14 * (b.level + 1) });
+        doc.moveDown(0.15);
+        break;
+      }
+      case 'quote':
+        writeRuns(b.runs, { indent: 20, force: { italic: true } });
+        doc.moveDown(0.4);
+        break;
+      case 'code':
+        writeRuns([{ text: b.text, code: true }], { size: theme.fontSize * 0.9 });
+        doc.moveDown(0.4);
+        break;
+      case 'rule':
+        doc.moveDown(0.3);
+        rule();
+        doc.moveDown(0.5);
+        break;
+      default:
+        writeRuns(b.runs);
+        doc.moveDown(0.5);
+    }
+  }
+
+  doc.end();
+  return done;
+}
+
+// ————————————————————————————————————————————————
+// Public API
+// ————————————————————————————————————————————————
+/**
+ * Prepends a letterhead built from the CV's `personalDetails` to a covering letter:
+ * the applicant's name as a heading, a contact line, and today's date. Details that only
+ * belong on a CV (OPTIONAL_PERSONAL_DETAILS, such as the date of birth) are left out.
+ * @param {string} letterMarkdown - The covering letter in Markdown.
+ * @param {Object} [personalDetails] - `personalDetails` from the CV base data.
+ * @param {Date} [date] - Date to print on the letter (defaults to today).
+ * @param {string} [lang] - Language tag the date is written in (default `en-GB`).
+ * @returns {string} The letter with a header, in Markdown.
+ */
+export function letterWithHeader(letterMarkdown, personalDetails = {}, date = new Date(), lang = 'en-GB') {
+  const { name, ...contact } = personalDetails;
+  const contactLine = Object.entries(contact)
+    .filter(([key, v]) => !(key in OPTIONAL_PERSONAL_DETAILS) && typeof v === 'string' && v.trim())
+    .map(([, v]) => v)
+    .join(' · ');
+  const dateLine = date.toLocaleDateString(lang, { day: 'numeric', month: 'long', year: 'numeric' });
+  const header = [name ? `# ${name}` : '', contactLine, dateLine].filter(Boolean).join('\n\n');
+  return `${header}\n\n---\n\n${letterMarkdown.trim()}\n`;
+}
+
+/**
+ * Renders one Markdown document to the given format.
+ * @param {string} md - Markdown source.
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {Object} [options] - Render options.
+ * @param {string} [options.theme] - Theme name (default `classic`).
+ * @param {string} [options.title] - Document title.
+ * @param {Date} [options.date] - Creation date stamped into the file (defaults to now).
+ * @param {string} [options.lang] - Language tag of the document (default `en-GB`).
+ * @param {string} [options.paper] - Page size, one of PAPER_SIZES (default `A4`).
+ * @returns {Promise<string|Buffer>} Rendered document.
+ */
+export async function renderDocument(md, format, { theme = 'classic', title = 'Document', date = new Date(), lang = 'en-GB', paper = 'A4' } = {}) {
+  const t = resolveTheme(theme);
+  const page = PAPER_SIZES[paper];
+  if (!page) throw new Error(`Unknown paper size "${paper}". Supported sizes: ${Object.keys(PAPER_SIZES).join(', ')}`);
+  switch (format) {
+    case 'html': return renderHTML(md, t, title, { lang, paper: page });
+    case 'docx': return renderDOCX(md, t, title, date, page);
+    case 'pdf': return renderPDF(md, t, title, date, page);
+    default:
+      throw new Error(`Unknown export format "${format}". Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Renders each document to every requested format and saves it in the run folder
+ * as `<name>.<format>`. Everything happens locally; no network calls are made.
+ * @param {string} dir - Run folder path.
+ * @param {Array<Object>} docs - Documents, each `{ name, title, markdown }`.
+ * @param {Object} [options] - Export options.
+ * @param {Array<string>} [options.formats] - Formats to render (default all).
+ * @param {string} [options.theme] - Theme name.
+ * @param {Date} [options.date] - Creation date stamped into the files.
+ * @param {string} [options.lang] - Language tag of the documents.
+ * @param {string} [options.paper] - Page size, one of PAPER_SIZES.
+ * @returns {Promise<Array<string>>} Paths of the written files.
+ */
+export async function exportDocuments(dir, docs, { formats = EXPORT_FORMATS, theme = 'classic', date, lang, paper } = {}) {
+  resolveTheme(theme);
+  const written = [];
+  for (const { name, title, markdown: md } of docs) {
+    for (const format of formats) {
+      const content = await renderDocument(md, format, { theme, title, date, lang, paper });
+      written.push(await saveRunFile(dir, `${name}.${format}`, content));
+    }
+  }
+  return written;
+}
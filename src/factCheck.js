@@ -0,0 +1,179 @@
+import readline from 'node:readline/promises';
+import { stdin as input, stdout as output } from 'node:process';
+import { sendToLLM } from './llm.js';
+import { buildPrompt } from './prompts.js';
+
+// ————————————————————————————————————————————————
+// Fact-check guard: flag claims not backed by the CV data or notes
+// ————————————————————————————————————————————————
+export const CLAIM_TYPES = ['metric', 'date', 'job_title', 'organisation', 'qualification', 'achievement', 'other'];
+
+const highlight = (s) => (output.isTTY ? `\x1b[1;33m${s}\x1b[0m` : s);
+
+/**
+ * Flattens the source material into one lower-case string for literal look-ups.
+ * @param {Object} cvBaseData - CV base data.
+ * @param {string} notes - Covering letter notes.
+ * @returns {string} Normalised source text.
+ */
+function sourceText(cvBaseData, notes) {
+  return `${JSON.stringify(cvBaseData)}\n${notes}`.toLowerCase().replace(/(\d),(\d{3})/g, '$1$2');
+}
+
+/**
+ * Returns the numbers in a claim that appear nowhere in the source material.
+ * Numbers are the easiest claims to invent and the easiest to check literally.
+ * @param {string} claim - Claim text.
+ * @param {string} source - Normalised source text from `sourceText`.
+ * @returns {Array<string>} Unsupported numbers.
+ */
+function unsupportedNumbers(claim, source) {
+  const numbers = claim.replace(/(\d),(\d{3})/g, '$1$2').match(/\d+(?:\.\d+)?/g) || [];
+  return numbers.filter((n) => !new RegExp(`(^|[^\\d.])${n.replace('.', '\\.')}([^\\d]|$)`).test(source));
+}
+
+/**
+ * Asks the LLM to list every factual claim in a document and say whether the source
+ * material supports it, then double-checks numeric claims locally.
+ * @param {string} documentName - e.g. "covering letter" or "CV".
+ * @param {string} text - Document text (Markdown).
+ * @param {Object} cvBaseData - CV base data (the source of truth).
+ * @param {string} notes - Covering letter notes (also a source of truth).
+ * @returns {Promise<Array<Object>>} Claims as `{ claim, type, supported, evidence }`.
+ */
+export async function verifyClaims(documentName, text, cvBaseData, notes) {
+  const { input, instructions } = await buildPrompt('verify-claims', {
+    documentName,
+    text,
+    cvJSON: JSON.stringify(cvBaseData, null, 2),
+    notes,
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            claim: { type: 'string' },
+            type: { type: 'string', enum: CLAIM_TYPES },
+            supported: { type: 'boolean' },
+            evidence: { type: 'string' }
+          },
+          required: ['claim', 'type', 'supported', 'evidence']
+        }
+      }
+    },
+    required: ['claims']
+  };
+  const { claims } = await sendToLLM({
+    input,
+    schema,
+    temperature: 0,
+    instructions,
+  });
+
+  const source = sourceText(cvBaseData, notes);
+  return claims.map((c) => {
+    const missing = unsupportedNumbers(c.claim, source);
+    if (c.supported && missing.length) {
+      return { ...c, supported: false, evidence: `Number(s) not found in the source data: ${missing.join(', ')}` };
+    }
+    return c;
+  });
+}
+
+/**
+ * Rewrites a document so that it no longer makes the given unsupported claims,
+ * changing as little else as possible.
+ * @param {string} documentName - e.g. "covering letter" or "CV".
+ * @param {string} text - Document text (Markdown).
+ * @param {Array<Object>} claims - Unsupported claims to remove.
+ * @returns {Promise<string>} Revised document text.
+ */
+export async function removeUnsupportedClaims(documentName, text, claims) {
+  const { input, instructions } = await buildPrompt('remove-unsupported-claims', {
+    documentName,
+    documentTitle: `${documentName[0].toUpperCase()}${documentName.slice(1)}`,
+    text,
+    claimsJSON: JSON.stringify(claims.map(({ claim, type }) => ({ claim, type })), null, 2),
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      revised_markdown: { type: 'string' }
+    },
+    required: ['revised_markdown']
+  };
+  const { revised_markdown } = await sendToLLM({ input, schema, instructions });
+  return revised_markdown;
+}
+
+/**
+ * Prints unsupported claims, with the claim text highlighted where it appears in the document.
+ * @param {string} documentName - e.g. "covering letter".
+ * @param {string} text - Document text.
+ * @param {Array<Object>} unsupported - Unsupported claims.
+ */
+function printUnsupported(documentName, text, unsupported) {
+  console.log(`\n[WARN] ${unsupported.length} claim(s) in the ${documentName} are not backed by cv.base.json or your notes:`);
+  unsupported.forEach((c, i) => {
+    console.log(`${i + 1}. [${c.type}] ${highlight(c.claim)}`);
+    const at = text.indexOf(c.claim);
+    if (at >= 0) {
+      const start = Math.max(0, at - 60);
+      const end = Math.min(text.length, at + c.claim.length + 60);
+      const excerpt = `${start ? '…' : ''}${text.slice(start, at)}${highlight(c.claim)}${text.slice(at + c.claim.length, end)}${end < text.length ? '…' : ''}`;
+      console.log(`   ${excerpt.replace(/\s*\n\s*/g, ' ')}`);
+    }
+    if (c.evidence) console.log(`   ${c.evidence}`);
+  });
+}
+
+/**
+ * Checks a drafted document against the source data, reports unsupported claims and,
+ * depending on `onUnsupported`, regenerates it without them:
+ * `ask` prompts the user, `regenerate` does it automatically, `keep` only reports.
+ * @param {Object} params - Fact-check parameters.
+ * @param {string} params.documentName - e.g. "covering letter" or "CV".
+ * @param {string} params.text - Document text (Markdown).
+ * @param {Object} params.cvBaseData - CV base data.
+ * @param {string} params.notes - Covering letter notes.
+ * @param {string} [params.onUnsupported] - `ask` (default), `regenerate` or `keep`.
+ * @returns {Promise<Object>} `{ text, claims, unsupported, regenerated, removed }` — the final text, its
+ *   claims and unsupported claims, and (after regenerating) the claims that were taken out.
+ */
+export async function factCheckDocument({ documentName, text, cvBaseData, notes, onUnsupported = 'ask' }) {
+  console.log(`[INFO] Fact-checking the ${documentName} against your CV data and notes.`);
+  const claims = await verifyClaims(documentName, text, cvBaseData, notes);
+  const unsupported = claims.filter((c) => !c.supported);
+  if (!unsupported.length) {
+    console.log(`[INFO] All ${claims.length} claim(s) in the ${documentName} are supported.`);
+    return { text, claims, unsupported, regenerated: false };
+  }
+  printUnsupported(documentName, text, unsupported);
+
+  let regenerate = onUnsupported === 'regenerate';
+  if (onUnsupported === 'ask') {
+    const rl = readline.createInterface({ input, output });
+    try {
+      const answer = (await rl.question(`Regenerate the ${documentName} without these claims? [y/N] `)).trim().toLowerCase();
+      regenerate = answer === 'y' || answer === 'yes';
+    } finally {
+      rl.close();
+    }
+  }
+  if (!regenerate) return { text, claims, unsupported, regenerated: false };
+
+  console.log(`[INFO] Regenerating the ${documentName} without the unsupported claims.`);
+  const revised = await removeUnsupportedClaims(documentName, text, unsupported);
+  const revisedClaims = await verifyClaims(documentName, revised, cvBaseData, notes);
+  const remaining = revisedClaims.filter((c) => !c.supported);
+  if (remaining.length) printUnsupported(`revised ${documentName}`, revised, remaining);
+  else console.log(`[INFO] The revised ${documentName} has no unsupported claims.`);
+  return { text: revised, claims: revisedClaims, unsupported: remaining, regenerated: true, removed: unsupported };
+}
@@ -0,0 +1,159 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import { pathToFileURL } from 'node:url';
+
+// ————————————————————————————————————————————————
+// Locally supplied job descriptions (file, stdin)
+// ————————————————————————————————————————————————
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', pound: '£', euro: '€', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', bull: '•' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * Tidies extracted text: normalises line endings, trims trailing spaces
+ * and collapses runs of blank lines.
+ * @param {string} s - Raw text.
+ * @returns {string} Cleaned text.
+ */
+function tidy(s) {
+  return s
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Converts a saved HTML page to plain text, dropping page furniture such as
+ * scripts, navigation, headers, footers, cookie banners and forms. If the page has
+ * a `<main>` or `<article>` element only that part is kept.
+ * @param {string} html - HTML source.
+ * @returns {{ title: string|null, text: string }} Page title and body text.
+ */
+export function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  const title = titleMatch ? tidy(decodeEntities(titleMatch[1].replace(/<[^>]+>/g, ''))) : null;
+
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|template|iframe|head)\b[\s\S]*?<\/\1>/gi, '');
+  const main = body.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+  if (main) body = main[2];
+  body = body
+    .replace(/<(nav|header|footer|aside|form|button|dialog)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]+\b(?:id|class)="[^"]*\b(?:cookie|banner|share|breadcrumb|skip-link)[^"]*"[^>]*>[\s\S]*?<\/[^>]+>/gi, '')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|h[1-6]|ul|ol|tr|table|dl|dt|dd|blockquote)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return { title, text: tidy(decodeEntities(body)) };
+}
+
+/**
+ * Extracts the text layer of a PDF.
+ * @param {Buffer} data - PDF file contents.
+ * @returns {Promise<string>} Extracted text.
+ */
+async function pdfToText(data) {
+  const { PDFParse } = await import('pdf-parse'); // loaded lazily; pdf.js is heavy
+  const parser = new PDFParse({ data });
+  try {
+    const { text } = await parser.getText();
+    return tidy(text.replace(/^-- \d+ of \d+ --$/gm, '')); // drop page markers
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function looksLikeHTML(s) {
+  return /^\s*(<!doctype html|<html[\s>])/i.test(s) || /<(body|div|p)[\s>]/i.test(s.slice(0, 2000));
+}
+
+/**
+ * Converts job-advert content to text, based on file extension or content sniffing.
+ * Supports plain text, Markdown, saved HTML pages and PDF.
+ * @param {Buffer} data - Raw content.
+ * @param {string} [name] - File name, used to pick the format.
+ * @returns {Promise<{ title: string|null, text: string }>} Title (if found) and text.
+ */
+export async function extractJobDescription(data, name = '') {
+  const ext = path.extname(name).toLowerCase();
+  if (ext === '.pdf' || data.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return { title: null, text: await pdfToText(data) };
+  }
+  const s = data.toString('utf8').replace(/^\uFEFF/, '');
+  if (ext === '.html' || ext === '.htm' || (!['.md', '.markdown', '.txt'].includes(ext) && looksLikeHTML(s))) {
+    return htmlToText(s);
+  }
+  const heading = s.match(/^#{1,2}\s+(.+)$/m);
+  return { title: heading ? heading[1].trim() : null, text: tidy(s) };
+}
+
+// stdin can only be consumed once; daemon runs reuse what was read the first time.
+let stdinCache = null;
+
+/**
+ * Reads all of standard input. On a terminal, reading stops at a line holding only `.`
+ * so stdin stays open for the interactive review steps later in the run.
+ * @returns {Promise<Buffer>} The text read.
+ */
+function readStdin() {
+  stdinCache ??= readStdinOnce();
+  return stdinCache;
+}
+
+async function readStdinOnce() {
+  if (process.stdin.isTTY) {
+    console.log('Paste the job description, then enter a line containing only "." to finish:');
+    const rl = readline.createInterface({ input: process.stdin });
+    const lines = [];
+    try {
+      for await (const line of rl) {
+        if (line.trim() === '.') break;
+        lines.push(line);
+      }
+    } finally {
+      rl.close();
+    }
+    return Buffer.from(lines.join('\n'), 'utf8');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Loads a job description supplied locally, either from a file or from stdin.
+ * The result has the same shape as `fetchJobDescription` so it can be used in its place.
+ * @param {Object} params - Source of the description.
+ * @param {string} [params.filePath] - Path to a .txt, .md, .html or .pdf file.
+ * @param {boolean} [params.stdin] - Read the description from standard input.
+ * @param {string} params.job - Job title, used when the content has no title.
+ * @returns {Promise<Object>} `{ role_title, job_description, sources }`.
+ * @throws {Error} If the content is empty.
+ */
+export async function loadJobDescription({ filePath, stdin, job }) {
+  const data = stdin ? await readStdin() : await fs.readFile(filePath);
+  const { title, text } = await extractJobDescription(data, stdin ? '' : filePath);
+  const origin = stdin ? 'standard input' : filePath;
+  if (!text) throw new Error(`No job description text found in ${origin}.`);
+
+  return {
+    role_title: title || job,
+    job_description: text,
+    sources: [stdin
+      ? { title: 'Pasted text', url: '', publisher: 'stdin' }
+      : { title: path.basename(filePath), url: pathToFileURL(path.resolve(filePath)).href, publisher: 'local file' }],
+  };
+}
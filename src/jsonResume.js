@@ -0,0 +1,118 @@
+// ————————————————————————————————————————————————
+// JSON Resume (https://jsonresume.org/schema) to and from cv.base.json
+// ————————————————————————————————————————————————
+// `basics` fields that map to personalDetails under another name. Any other string in
+// `basics` is carried across under its own name, so details such as `dateOfBirth` survive
+// a round trip.
+const BASICS_FIELDS = { name: 'name', email: 'email', phone: 'phone', url: 'website', image: 'photo', label: 'headline' };
+const BASICS_STRUCTURED = new Set(['location', 'profiles', 'summary']);
+
+/**
+ * Turns a JSON Resume date into a partial ISO date (`YYYY`, `YYYY-MM` or `YYYY-MM-DD`).
+ * @param {string} [s] - Date from the resume.
+ * @returns {string|null} Partial date, or null when missing or not a date.
+ */
+function partialDate(s) {
+  const m = /^(\d{4})(-\d{2})?(-\d{2})?/.exec(s ?? '');
+  return m ? m[0] : null;
+}
+
+/**
+ * Converts a JSON Resume document to the cv.base.json shape. JSON Resume has no list of
+ * standalone achievements, so they are read from `meta.achievements` (as written by
+ * `toJSONResume`) and from `awards`.
+ * @param {Object} resume - Parsed JSON Resume.
+ * @returns {Object} CV base data; sections the resume doesn't have are left out.
+ */
+export function fromJSONResume(resume) {
+  const basics = resume.basics || {};
+  const personalDetails = {};
+  for (const [key, value] of Object.entries(basics)) {
+    if (typeof value !== 'string' || !value.trim() || BASICS_STRUCTURED.has(key)) continue;
+    personalDetails[BASICS_FIELDS[key] ?? key] = value.trim();
+  }
+  const place = [basics.location?.address, basics.location?.city, basics.location?.region, basics.location?.countryCode].filter(Boolean).join(', ');
+  if (place) personalDetails.location = place;
+  const linkedin = (basics.profiles || []).find((p) => /linkedin/i.test(p.network || ''));
+  if (linkedin?.url) personalDetails.linkedin = linkedin.url;
+
+  const cv = { personalDetails };
+  const achievements = [
+    ...(resume.meta?.achievements || []),
+    ...(resume.awards || []).map((a) => [a.title, a.summary].filter(Boolean).join(' — ')),
+  ].filter(Boolean);
+  if (achievements.length) cv.achievements = achievements;
+
+  const skills = (resume.skills || []).map((s) => s.name?.trim()).filter(Boolean);
+  if (skills.length) cv.skills = skills;
+
+  const roles = (resume.work || [])
+    .filter((w) => w.position && partialDate(w.startDate))
+    .map((w) => {
+      const description = [w.summary, ...(w.highlights || [])].filter(Boolean).join(' ');
+      return {
+        from: partialDate(w.startDate),
+        ...(partialDate(w.endDate) ? { to: partialDate(w.endDate) } : {}),
+        jobTitle: w.position,
+        ...(w.name ? { employer: w.name } : {}),
+        ...(description ? { description } : {}),
+      };
+    });
+  if (roles.length) cv.pastJobRoles = roles;
+
+  const qualifications = (resume.education || [])
+    .map((e) => {
+      const title = [e.studyType, e.area].filter(Boolean).join(', ') || e.institution;
+      const year = partialDate(e.endDate || e.startDate);
+      return title && {
+        title,
+        ...(year ? { year: Number(year.slice(0, 4)) } : {}),
+        ...(e.score ? { grade: e.score } : {}),
+        ...(e.institution ? { institution: e.institution } : {}),
+      };
+    })
+    .filter(Boolean);
+  if (qualifications.length) cv.qualifications = qualifications;
+  return cv;
+}
+
+/**
+ * Converts cv.base.json to a JSON Resume document. Achievements go to `meta.achievements`,
+ * and a qualification title such as "MSc, Computer Science" is split into `studyType` and `area`.
+ * @param {Object} cv - CV base data.
+ * @returns {Object} JSON Resume.
+ */
+export function toJSONResume(cv) {
+  const renamed = Object.fromEntries(Object.entries(BASICS_FIELDS).map(([field, key]) => [key, field]));
+  const basics = {};
+  const profiles = [];
+  for (const [key, value] of Object.entries(cv.personalDetails || {})) {
+    if (key === 'linkedin') profiles.push({ network: 'LinkedIn', url: value });
+    else if (key === 'location') basics.location = { address: value };
+    else basics[renamed[key] ?? key] = value;
+  }
+  if (profiles.length) basics.profiles = profiles;
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics,
+    work: (cv.pastJobRoles || []).map((r) => ({
+      ...(r.employer ? { name: r.employer } : {}),
+      position: r.jobTitle,
+      startDate: r.from,
+      ...(r.to && /^\d/.test(r.to) ? { endDate: r.to } : {}),
+      ...(r.description ? { summary: r.description } : {}),
+    })),
+    education: (cv.qualifications || []).map((q) => {
+      const [studyType, ...area] = q.title.split(', ');
+      return {
+        ...(q.institution ? { institution: q.institution } : {}),
+        ...(area.length ? { studyType, area: area.join(', ') } : { area: q.title }),
+        ...(q.year ? { endDate: String(q.year) } : {}),
+        ...(q.grade ? { score: q.grade } : {}),
+      };
+    }),
+    skills: (cv.skills || []).map((name) => ({ name })),
+    meta: { achievements: cv.achievements || [] },
+  };
+}
@@ -0,0 +1,176 @@
+import { sendToLLM } from './llm.js';
+import { buildPrompt } from './prompts.js';
+
+// ————————————————————————————————————————————————
+// ATS keyword coverage: how well the documents cover the job's keywords
+// ————————————————————————————————————————————————
+export const KEYWORD_CATEGORIES = ['skill', 'tool', 'qualification', 'keyword'];
+
+/**
+ * Extracts the required and desirable skills, tools, qualifications and other
+ * keywords an applicant-tracking system is likely to screen for.
+ * @param {string} jobDescription - Job description text.
+ * @returns {Promise<Array<Object>>} Keywords as `{ term, category, importance, synonyms }`.
+ */
+export async function extractJobKeywords(jobDescription) {
+  const { input, instructions } = await buildPrompt('extract-keywords', { jobDescription });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      keywords: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            term: { type: 'string' },
+            category: { type: 'string', enum: KEYWORD_CATEGORIES },
+            importance: { type: 'string', enum: ['required', 'desirable'] },
+            synonyms: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['term', 'category', 'importance', 'synonyms']
+        }
+      }
+    },
+    required: ['keywords']
+  };
+  const { keywords } = await sendToLLM({
+    input,
+    schema,
+    temperature: 0,
+    instructions,
+  });
+  return keywords;
+}
+
+/**
+ * Builds a case-insensitive whole-word pattern, so "Java" does not match "JavaScript".
+ * @param {string} term - Term to match.
+ * @returns {RegExp} Global pattern.
+ */
+function termPattern(term) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'gi');
+}
+
+/**
+ * Measures how often a keyword, and separately its synonyms, appear in a document.
+ * Synonyms are counted only outside exact matches, so "Node" is not found inside "Node.js".
+ * @param {string} text - Document text.
+ * @param {Object} keyword - `{ term, synonyms }`.
+ * @returns {Object} `{ exact, synonyms }` where `synonyms` maps each synonym found to its count.
+ */
+function measure(text, keyword) {
+  const pattern = termPattern(keyword.term);
+  const exact = (text.match(pattern) || []).length;
+  const rest = text.replace(pattern, ' ');
+  const synonyms = {};
+  for (const s of keyword.synonyms) {
+    if (!s.trim() || s.toLowerCase() === keyword.term.toLowerCase()) continue;
+    const n = (rest.match(termPattern(s)) || []).length;
+    if (n) synonyms[s] = n;
+  }
+  return { exact, synonyms };
+}
+
+/**
+ * Asks the LLM which base CV skills and achievements could fill each missing keyword.
+ * @param {Array<string>} terms - Missing terms.
+ * @param {Object} cvBaseData - CV base data.
+ * @returns {Promise<Map<string, Object>>} Map from term to `{ skills, achievements }` (item texts).
+ */
+async function suggestGapFillers(terms, cvBaseData) {
+  const skills = cvBaseData.skills || [];
+  const achievements = cvBaseData.achievements || [];
+  const numbered = (items) => items.map((text, i) => ({ number: i + 1, text }));
+  const { input, instructions } = await buildPrompt('suggest-gap-fillers', {
+    terms,
+    skills: numbered(skills),
+    achievements: numbered(achievements),
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      gaps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            term: { type: 'string' },
+            skills: { type: 'array', items: { type: 'integer' } },
+            achievements: { type: 'array', items: { type: 'integer' } }
+          },
+          required: ['term', 'skills', 'achievements']
+        }
+      }
+    },
+    required: ['gaps']
+  };
+  const { gaps } = await sendToLLM({ input, schema, temperature: 0, instructions });
+  const pick = (items, idxs) => [...new Set(idxs)].filter((n) => Number.isInteger(n) && n >= 1 && n <= items.length).map((n) => items[n - 1]);
+  return new Map(gaps.map((g) => [g.term, { skills: pick(skills, g.skills), achievements: pick(achievements, g.achievements) }]));
+}
+
+/**
+ * Builds the keyword coverage report for the final CV and covering letter.
+ * @param {Object} params - Report inputs.
+ * @param {string} params.jobDescription - Job description text.
+ * @param {string} params.cvMarkdown - Final CV.
+ * @param {string} params.letter - Final covering letter.
+ * @param {Object} params.cvBaseData - CV base data, for gap suggestions.
+ * @returns {Promise<Object>} `{ keywords, coverage, missing }`: each keyword with its `cv` and `letter`
+ *   counts and a status (`exact`, `synonym` or `missing`); the share of required and desirable keywords
+ *   covered; and for each missing keyword the base CV skills and achievements that could fill it.
+ */
+export async function analyseKeywordCoverage({ jobDescription, cvMarkdown, letter, cvBaseData }) {
+  const extracted = await extractJobKeywords(jobDescription);
+  const keywords = extracted.map((k) => {
+    const cv = measure(cvMarkdown, k);
+    const inLetter = measure(letter, k);
+    const exact = cv.exact + inLetter.exact > 0;
+    const synonym = Object.keys(cv.synonyms).length + Object.keys(inLetter.synonyms).length > 0;
+    return { ...k, cv, letter: inLetter, status: exact ? 'exact' : synonym ? 'synonym' : 'missing' };
+  });
+
+  const coverage = {};
+  for (const importance of ['required', 'desirable']) {
+    const group = keywords.filter((k) => k.importance === importance);
+    const covered = group.filter((k) => k.status !== 'missing').length;
+    coverage[importance] = { covered, total: group.length };
+  }
+
+  const missingTerms = keywords.filter((k) => k.status === 'missing').map((k) => k.term);
+  const fillers = missingTerms.length ? await suggestGapFillers(missingTerms, cvBaseData) : new Map();
+  const missing = missingTerms.map((term) => ({ term, ...(fillers.get(term) || { skills: [], achievements: [] }) }));
+  return { keywords, coverage, missing };
+}
+
+/**
+ * Formats the coverage report for the terminal.
+ * @param {Object} report - Output of `analyseKeywordCoverage`.
+ * @returns {string} Report text.
+ */
+export function formatCoverageReport({ keywords, coverage, missing }) {
+  const pct = ({ covered, total }) => (total ? `${covered}/${total} (${Math.round((covered / total) * 100)}%)` : 'n/a');
+  const mark = { exact: '✓', synonym: '~', missing: '✗' };
+  const width = Math.max(4, ...keywords.map((k) => k.term.length));
+  const counts = (m) => {
+    const syn = Object.entries(m.synonyms).map(([s, n]) => `${s}×${n}`).join(', ');
+    return `${m.exact}${syn ? ` (+${syn})` : ''}`;
+  };
+  const lines = [
+    `ATS keyword coverage — required: ${pct(coverage.required)}, desirable: ${pct(coverage.desirable)}`,
+    ...keywords.map((k) => `  ${mark[k.status]} ${k.term.padEnd(width)}  ${k.importance.padEnd(9)}  CV ${counts(k.cv)} · letter ${counts(k.letter)}`),
+  ];
+  if (missing.length) {
+    lines.push('', 'Missing keywords and what could fill them:');
+    for (const m of missing) {
+      const fill = [...m.skills.map((s) => `skill "${s}"`), ...m.achievements.map((a) => `achievement "${a}"`)];
+      lines.push(`  ✗ ${m.term}: ${fill.length ? fill.join('; ') : 'nothing in cv.base.json covers this'}`);
+    }
+  }
+  return lines.join('\n');
+}
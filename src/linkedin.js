@@ -0,0 +1,179 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import JSZip from 'jszip';
+
+// ————————————————————————————————————————————————
+// LinkedIn data export (the "Get a copy of your data" archive)
+// ————————————————————————————————————————————————
+const FILES = {
+  profile: 'Profile.csv',
+  emails: 'Email Addresses.csv',
+  phones: 'PhoneNumbers.csv',
+  positions: 'Positions.csv',
+  skills: 'Skills.csv',
+  education: 'Education.csv',
+  certifications: 'Certifications.csv',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold commas, newlines and doubled quotes).
+ * @param {string} text - CSV text.
+ * @returns {Array<Array<string>>} Rows of fields.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i += 1) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i += 1; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+/**
+ * Turns CSV rows into records keyed by the header row. Some export files start with a few
+ * lines of notes, so the header is the first row that has `column`.
+ * @param {Array<Array<string>>} rows - Output of `parseCSV`.
+ * @param {string} column - A column the header must have.
+ * @returns {Array<Object>} One object per data row.
+ */
+function toRecords(rows, column) {
+  const start = rows.findIndex((r) => r.includes(column));
+  if (start < 0) return [];
+  const header = rows[start].map((h) => h.trim());
+  return rows.slice(start + 1).map((r) => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])));
+}
+
+/**
+ * Turns a LinkedIn date ("Jun 2021", "2021" or "Jun 3, 2021") into a partial ISO date.
+ * @param {string} s - Date from the export.
+ * @returns {string|null} `YYYY` or `YYYY-MM`, or null when empty or unrecognised.
+ */
+function partialDate(s) {
+  const m = /^(?:([A-Za-z]{3})[a-z]*\.?\s+(?:\d{1,2},\s*)?)?(\d{4})$/.exec(s.trim());
+  if (!m) return null;
+  const month = m[1] ? MONTHS.indexOf(m[1].toLowerCase()) + 1 : 0;
+  return month ? `${m[2]}-${String(month).padStart(2, '0')}` : m[2];
+}
+
+/**
+ * Opens a LinkedIn export, either the ZIP archive or a folder it was extracted to.
+ * @param {string} source - Path to the archive or folder.
+ * @returns {Promise<Function>} `(fileName) => Promise<string|null>` reading one CSV by name.
+ */
+async function openExport(source) {
+  const stat = await fs.stat(source);
+  if (stat.isDirectory()) {
+    const names = await fs.readdir(source, { recursive: true });
+    return async (name) => {
+      const found = names.find((n) => path.basename(n).toLowerCase() === name.toLowerCase());
+      return found ? fs.readFile(path.join(source, found), 'utf8') : null;
+    };
+  }
+  const zip = await JSZip.loadAsync(await fs.readFile(source));
+  return async (name) => {
+    const found = Object.keys(zip.files).find((n) => path.posix.basename(n).toLowerCase() === name.toLowerCase());
+    return found ? zip.file(found).async('string') : null;
+  };
+}
+
+/**
+ * Reads a LinkedIn data export into the cv.base.json shape: name, primary email and phone
+ * from the profile files, roles from Positions.csv, skills from Skills.csv, and
+ * qualifications from Education.csv and Certifications.csv. Missing files are skipped.
+ * @param {string} source - Path to the ZIP archive or the folder it was extracted to.
+ * @returns {Promise<Object>} `{ cv, files }` — CV base data, and the CSV files that were read.
+ * @throws {Error} If the source has none of the expected files.
+ */
+export async function readLinkedInExport(source) {
+  const read = await openExport(source);
+  const files = [];
+  const load = async (key, column) => {
+    const text = await read(FILES[key]);
+    if (text === null) return [];
+    files.push(FILES[key]);
+    return toRecords(parseCSV(text), column);
+  };
+
+  const [profile] = await load('profile', 'First Name');
+  const emails = await load('emails', 'Email Address');
+  const [phone] = await load('phones', 'Number');
+  const positions = await load('positions', 'Title');
+  const skills = await load('skills', 'Name');
+  const education = await load('education', 'School Name');
+  const certifications = await load('certifications', 'Name');
+  if (!files.length) {
+    throw new Error(`${source} doesn't look like a LinkedIn data export: none of ${Object.values(FILES).join(', ')} found.`);
+  }
+
+  const personalDetails = {};
+  const name = [profile?.['First Name'], profile?.['Last Name']].filter(Boolean).join(' ');
+  if (name) personalDetails.name = name;
+  const email = emails.find((e) => e.Primary === 'Yes') ?? emails[0];
+  if (email?.['Email Address']) personalDetails.email = email['Email Address'];
+  if (phone?.Number) personalDetails.phone = phone.Number;
+  if (profile?.Headline) personalDetails.headline = profile.Headline;
+
+  const cv = { personalDetails };
+  const roles = positions
+    .filter((p) => p.Title && partialDate(p['Started On'] ?? ''))
+    .map((p) => {
+      const to = partialDate(p['Finished On'] ?? '');
+      return {
+        from: partialDate(p['Started On']),
+        ...(to ? { to } : {}),
+        jobTitle: p.Title,
+        ...(p['Company Name'] ? { employer: p['Company Name'] } : {}),
+        ...(p.Description ? { description: p.Description } : {}),
+      };
+    });
+  if (roles.length) cv.pastJobRoles = roles;
+
+  const skillNames = skills.map((s) => s.Name).filter(Boolean);
+  if (skillNames.length) cv.skills = skillNames;
+
+  const qualifications = [
+    ...education.map((e) => ({
+      title: e['Degree Name'] || e['School Name'],
+      year: partialDate(e['End Date'] ?? '') ?? partialDate(e['Start Date'] ?? ''),
+      institution: e['School Name'],
+    })),
+    ...certifications.map((c) => ({
+      title: c.Name,
+      year: partialDate(c['Started On'] ?? ''),
+      institution: c.Authority,
+    })),
+  ]
+    .filter((q) => q.title)
+    .map(({ title, year, institution }) => ({
+      title,
+      ...(year ? { year: Number(year.slice(0, 4)) } : {}),
+      ...(institution ? { institution } : {}),
+    }));
+  if (qualifications.length) cv.qualifications = qualifications;
+
+  return { cv, files };
+}
@@ -0,0 +1,214 @@
+import { inspect } from 'node:util';
+import Ajv from 'ajv';
+import { createProvider } from './providers/index.js';
+import { recordUsage, reserveBudget } from './usage.js';
+
+// ————————————————————————————————————————————————
+// LLM wrapper with pluggable providers and structured outputs
+// ————————————————————————————————————————————————
+const TEMPERATURE = parseFloat(process.env.OPENAI_TEMPERATURE || '0.3');
+
+let provider = null;
+let model = null;
+let cache = null;
+let warnedNoWebSearch = false;
+let retry = null;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const schemaValidators = new Map();
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors.
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET']);
+
+// Stand-in for replay mode: every answer must come from the cache.
+const REPLAY_PROVIDER = {
+  name: 'replay',
+  supportsWebSearch: true,
+  async complete() {
+    throw new Error('The replay provider cannot call a model.');
+  },
+};
+
+/**
+ * Selects and initialises the LLM provider used by `sendToLLM`.
+ * @param {Object} [params] - Provider selection.
+ * @param {string} [params.provider] - Provider name (defaults to LLM_PROVIDER, then `openai`).
+ * @param {string} [params.model] - Model name (defaults to LLM_MODEL, then OPENAI_MODEL, then `gpt-4o-mini`).
+ * @param {Object} [params.cache] - Response cache from `createLLMCache` (null disables caching).
+ * @param {number} [params.maxRetries] - Retries per call after an API error or a rejected output
+ *   (defaults to LLM_MAX_RETRIES, then 3).
+ * @returns {Object} The active provider.
+ * @throws {Error} If the provider is unknown or its environment is incomplete.
+ */
+export function configureLLM({ provider: name, model: modelName, cache: responseCache = null, maxRetries } = {}) {
+  cache = responseCache;
+  retry = {
+    maxRetries: maxRetries ?? parseInt(process.env.LLM_MAX_RETRIES || '3', 10),
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS || '1000', 10),
+    maxDelayMs: 60_000,
+  };
+  // A strict replay never reaches a provider, so it must not require API keys either.
+  provider = cache?.strict ? REPLAY_PROVIDER : createProvider(name || process.env.LLM_PROVIDER || 'openai');
+  model = modelName || process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  warnedNoWebSearch = false;
+  return provider;
+}
+
+/**
+ * Returns the active provider, configuring the default one on first use.
+ * @returns {Object} The active provider.
+ */
+export function getProvider() {
+  if (!provider) configureLLM();
+  return provider;
+}
+
+function isRetryable(err) {
+  if (err.status) return RETRYABLE_STATUS.has(err.status) || err.status >= 500;
+  const code = err.code || err.cause?.code;
+  return RETRYABLE_CODES.has(code) || /Connection|Timeout/.test(err.name || '') || err.message === 'fetch failed';
+}
+
+/**
+ * Waits before the next attempt: exponential backoff with jitter, or the server's
+ * `retry-after` header when it sends one.
+ * @param {number} attempt - Attempt that just failed (1-based).
+ * @param {Error} [err] - The API error, if any.
+ * @returns {Promise<void>}
+ */
+function backoff(attempt, err) {
+  const retryAfter = Number(err?.headers?.['retry-after'] ?? err?.headers?.get?.('retry-after'));
+  const ms = Number.isFinite(retryAfter) && retryAfter > 0
+    ? retryAfter * 1000
+    : Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+/**
+ * Checks a response: refusals, truncation, JSON syntax, the JSON Schema (re-checked locally,
+ * since not every provider enforces it) and finally the caller's semantic validator.
+ * @param {Object} res - Provider response `{ text, refusal?, truncated? }`.
+ * @param {Object} [schema] - JSON Schema the output must match.
+ * @param {Function} [validate] - Semantic validator.
+ * @returns {Object} `{ value }` when valid, or `{ reason, semantic, value? }` when not.
+ */
+function checkResponse(res, schema, validate) {
+  if (res.refusal) return { reason: `the model refused: ${res.refusal}` };
+  if (res.truncated) return { reason: 'the output was cut off before it was complete; keep it shorter' };
+  if (!schema) {
+    if (!res.text?.trim()) return { reason: 'the output was empty' };
+  }
+
+  let value = res.text;
+  if (schema) {
+    try {
+      value = JSON.parse(res.text);
+    } catch (err) {
+      return { reason: `the output was not valid JSON (${err.message})` };
+    }
+    const key = JSON.stringify(schema);
+    if (!schemaValidators.has(key)) schemaValidators.set(key, ajv.compile(schema));
+    const check = schemaValidators.get(key);
+    if (!check(value)) {
+      return { reason: `the output did not match the JSON Schema: ${ajv.errorsText(check.errors, { dataVar: 'output' })}` };
+    }
+  }
+
+  const problems = validate ? [].concat(validate(value) || []).filter(Boolean) : [];
+  if (problems.length) return { reason: problems.join('; '), semantic: true, value };
+  return { value };
+}
+
+/**
+ * Sends a request to the LLM (Language Model) with the specified parameters.
+ * Supports structured outputs using JSON Schema.
+ *
+ * API errors that are worth retrying (rate limits, server and network errors) are retried
+ * with exponential backoff. Outputs that are refused, truncated, not valid JSON, do not match
+ * the schema, or fail `validate` are retried with the reason passed back to the model. After
+ * `maxRetries` retries an output that only fails `validate` is returned with a warning;
+ * anything else throws. Every response is cached, rejected ones included, so a replay
+ * retries exactly as the recorded run did. Token usage is recorded against the current
+ * stage (see usage.js), and a call that could exceed the run's budget is not made.
+ * @param {Object} params - Parameters for the LLM request.
+ * @param {string} params.instructions - Instructions for the LLM.
+ * @param {string|Array<Object>} params.input - Input text or messages for the LLM.
+ * @param {Object} [params.schema] - JSON Schema for structured output.
+ * @param {number} [params.temperature] - Temperature for the LLM (default is TEMPERATURE).
+ * @param {boolean|Object} [params.webSearch] - Ask for web search: `true`, or `{ country }` to localise
+ *   results to an ISO country code. Ignored (with a warning) by providers without it.
+ * @param {Function} [params.validate] - Semantic check of the parsed output; returns nothing when
+ *   it is acceptable, or a reason (or list of reasons) why not.
+ * @returns {Promise<any>} Response from the LLM.
+ * @throws {Error} If the call still fails after all retries, or (with `code` `BUDGET_EXCEEDED`)
+ *   if it could take the run over `maxCostPerRun`.
+ */
+export async function sendToLLM({ instructions, input, schema, temperature = TEMPERATURE, webSearch = false, validate }) {
+  const p = getProvider();
+  if (webSearch && !p.supportsWebSearch) {
+    if (!warnedNoWebSearch) {
+      console.log(`[WARN] Provider "${p.name}" has no web search; answers rely on the model's own knowledge.`);
+      warnedNoWebSearch = true;
+    }
+    webSearch = false;
+  }
+
+  let messages = input;
+  let lastRejected = null;
+  for (let attempt = 1; ; attempt += 1) {
+    const request = { model, instructions, input: messages, schema, temperature, webSearch };
+    if (process.env.DEBUG === 'true') {
+      console.log(`DEBUG: Sending to LLM (${p.name}):`, inspect(request, { depth: null, colors: true }));
+    }
+
+    let res = cache?.canRead ? await cache.get(request) : null;
+    if (res) {
+      if (process.env.DEBUG === 'true') console.log(`DEBUG: Cache hit ${res.key}`);
+      recordUsage(model, res.usage, { fromCache: true });
+    } else {
+      if (cache?.strict) {
+        throw new Error(`No recorded response for this request in ${cache.dir} (replay mode). Re-record with --record.`);
+      }
+      const release = reserveBudget(model, request);
+      try {
+        res = await p.complete(request);
+      } catch (err) {
+        release();
+        if (!isRetryable(err) || attempt > retry.maxRetries) throw err;
+        console.log(`[WARN] LLM call failed (${err.status || err.code || err.message}); retrying (${attempt}/${retry.maxRetries}).`);
+        await backoff(attempt, err);
+        continue;
+      }
+      release();
+      if (process.env.DEBUG === 'true') {
+        console.log('DEBUG: Response from LLM:', JSON.stringify(res.raw, null, 2));
+      }
+      recordUsage(model, res.usage);
+      if (cache?.canWrite) await cache.put(request, res);
+    }
+
+    const result = checkResponse(res, schema, validate);
+    if (!result.reason) return result.value;
+    if (result.semantic) lastRejected = result;
+
+    if (attempt > retry.maxRetries) {
+      if (result.semantic) {
+        console.log(`[WARN] Accepting LLM output that failed validation after ${retry.maxRetries} retries: ${result.reason}`);
+        return result.value;
+      }
+      if (lastRejected) {
+        console.log(`[WARN] Accepting an earlier LLM output that failed validation: ${lastRejected.reason}`);
+        return lastRejected.value;
+      }
+      throw new Error(`LLM output rejected after ${retry.maxRetries} retries: ${result.reason}`);
+    }
+    console.log(`[WARN] LLM output rejected (${result.reason}); retrying (${attempt}/${retry.maxRetries}).`);
+    const previous = typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages;
+    messages = [
+      ...previous,
+      { role: 'assistant', content: res.text || '' },
+      { role: 'user', content: `Your previous answer was rejected because ${result.reason}. Please answer again, fixing this.` },
+    ];
+  }
+}
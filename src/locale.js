@@ -0,0 +1,160 @@
+import { DEFAULT_HEADINGS, formatDate } from './cvTemplate.js';
+
+// ————————————————————————————————————————————————
+// Locale and CV-convention profiles
+// ————————————————————————————————————————————————
+/** Personal details some markets expect on a CV and others leave out, by `personalDetails` key. */
+export const OPTIONAL_PERSONAL_DETAILS = {
+  photo: 'photo',
+  dateOfBirth: 'date of birth',
+  nationality: 'nationality',
+  maritalStatus: 'marital status',
+};
+
+/**
+ * Built-in profiles, chosen with `locale` in job.config.json. Each one sets:
+ * - `market`, `document`, `letter`: how prompts name the conventions, the CV and the letter;
+ * - `language`: the language and spelling every document is written in;
+ * - `lang`: BCP 47 tag for exported HTML and the letterhead date;
+ * - `dateFormat`: pattern for CV dates (see `formatDate`);
+ * - `sections`, `headings`, `present`: section order and names, and the word for an open-ended role;
+ * - `pageLength`, `paper`: how long the CV should be and the page size it is exported on;
+ * - `letterWords`: covering letter length, as `min–max` words;
+ * - `personalDetails`: which of OPTIONAL_PERSONAL_DETAILS the CV includes;
+ * - `searchCountry`: ISO country code that web searches are localised to, or null.
+ */
+export const LOCALE_PROFILES = {
+  'en-GB': {
+    market: 'UK',
+    document: 'CV',
+    letter: 'covering letter',
+    language: 'British English',
+    lang: 'en-GB',
+    dateFormat: 'dd/mm/yyyy',
+    sections: ['skills', 'achievements', 'experience', 'qualifications'],
+    headings: DEFAULT_HEADINGS,
+    present: 'Present',
+    pageLength: 'no more than two pages',
+    paper: 'A4',
+    letterWords: '400–650',
+    personalDetails: { photo: false, dateOfBirth: false, nationality: false, maritalStatus: false },
+    searchCountry: 'GB',
+  },
+  'en-US': {
+    market: 'US',
+    document: 'résumé',
+    letter: 'cover letter',
+    language: 'American English',
+    lang: 'en-US',
+    dateFormat: 'mmm yyyy',
+    sections: ['achievements', 'experience', 'qualifications', 'skills'],
+    headings: {
+      skills: 'Skills',
+      achievements: 'Key accomplishments',
+      experience: 'Professional experience',
+      qualifications: 'Education',
+    },
+    present: 'Present',
+    pageLength: 'one page, or two for senior roles',
+    paper: 'Letter',
+    letterWords: '250–400',
+    personalDetails: { photo: false, dateOfBirth: false, nationality: false, maritalStatus: false },
+    searchCountry: 'US',
+  },
+  'de-DE': {
+    market: 'German',
+    document: 'Lebenslauf',
+    letter: 'Anschreiben',
+    language: 'German',
+    lang: 'de-DE',
+    dateFormat: 'mm/yyyy',
+    sections: ['experience', 'qualifications', 'skills', 'achievements'],
+    headings: {
+      skills: 'Kenntnisse',
+      achievements: 'Erfolge',
+      experience: 'Berufserfahrung',
+      qualifications: 'Ausbildung',
+    },
+    present: 'heute',
+    pageLength: 'no more than two pages',
+    paper: 'A4',
+    letterWords: '300–450',
+    personalDetails: { photo: true, dateOfBirth: true, nationality: true, maritalStatus: false },
+    searchCountry: 'DE',
+  },
+  europass: {
+    market: 'Europass',
+    document: 'Europass CV',
+    letter: 'cover letter',
+    language: 'British English',
+    lang: 'en-GB',
+    dateFormat: 'dd/mm/yyyy',
+    sections: ['experience', 'qualifications', 'skills', 'achievements'],
+    headings: {
+      skills: 'Skills',
+      achievements: 'Additional information',
+      experience: 'Work experience',
+      qualifications: 'Education and training',
+    },
+    present: 'Current',
+    pageLength: 'no more than three pages',
+    paper: 'A4',
+    letterWords: '300–500',
+    personalDetails: { photo: true, dateOfBirth: true, nationality: true, maritalStatus: false },
+    searchCountry: null,
+  },
+};
+
+export const DEFAULT_LOCALE = 'en-GB';
+
+/**
+ * Resolves the `locale` setting of a job config to a full profile.
+ * @param {string|Object} [locale] - A profile name, or `{ profile, ...overrides }` where the
+ *   overrides replace fields of that profile (`headings` and `personalDetails` are merged).
+ * @returns {Object} The profile, with its `name`.
+ * @throws {Error} If the profile is unknown.
+ */
+export function resolveLocale(locale = DEFAULT_LOCALE) {
+  const { profile: name = DEFAULT_LOCALE, ...overrides } = typeof locale === 'string' ? { profile: locale } : locale;
+  const base = LOCALE_PROFILES[name];
+  if (!base) {
+    throw new Error(`Unknown locale profile "${name}". Available profiles: ${Object.keys(LOCALE_PROFILES).join(', ')}`);
+  }
+  return {
+    ...base,
+    ...overrides,
+    name,
+    headings: { ...base.headings, ...overrides.headings },
+    personalDetails: { ...base.personalDetails, ...overrides.personalDetails },
+  };
+}
+
+/**
+ * Drops the personal details a locale does not expect on a CV, e.g. date of birth for a UK CV.
+ * @param {Object} [personalDetails] - `personalDetails` from the CV base data.
+ * @param {Object} locale - Output of `resolveLocale`.
+ * @returns {Object} The details to show.
+ */
+export function localePersonalDetails(personalDetails = {}, locale) {
+  return Object.fromEntries(Object.entries(personalDetails)
+    .filter(([key]) => !(key in OPTIONAL_PERSONAL_DETAILS) || locale.personalDetails[key]));
+}
+
+/**
+ * Describes a locale's CV conventions as prompt text, for the LLM that writes the CV.
+ * @param {Object} locale - Output of `resolveLocale`.
+ * @returns {string} Instructions covering language, sections, dates, length and personal details.
+ */
+export function describeCVConventions(locale) {
+  const expected = Object.keys(OPTIONAL_PERSONAL_DETAILS).filter((key) => locale.personalDetails[key]);
+  const omitted = Object.keys(OPTIONAL_PERSONAL_DETAILS).filter((key) => !locale.personalDetails[key]);
+  const list = (keys) => keys.map((key) => OPTIONAL_PERSONAL_DETAILS[key]).join(', ');
+  return [
+    `Write it in ${locale.language}, following ${locale.market} conventions for a ${locale.document}.`,
+    `Use these sections, in this order: ${locale.sections.map((s) => locale.headings[s]).join(', ')}.`,
+    `Write dates in ${locale.dateFormat} format (e.g. ${formatDate('2021-06-15', locale.dateFormat)}), and "${locale.present}" for a current role.`,
+    `Keep it to ${locale.pageLength}.`,
+    expected.length ? `Include the ${list(expected)} if the data gives them.` : '',
+    omitted.length ? `Leave out any ${list(omitted)}.` : '',
+  ].filter(Boolean).join(' ');
+}
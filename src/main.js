@@ -1,15 +1,42 @@
 import 'dotenv/config';
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import OpenAI from 'openai';
 import { fileURLToPath } from 'node:url';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { inspect } from 'node:util';
 import readline from 'node:readline/promises';
 import { stdin as input, stdout as output } from 'node:process';
 import { marked } from 'marked';
 import TerminalRenderer from 'marked-terminal';
+import { configureLLM, sendToLLM } from './llm.js';
+import { PROVIDERS } from './providers/index.js';
+import { CACHE_MODES, createLLMCache, readSession, writeSession } from './cache.js';
+import { now, pinClock, today } from './clock.js';
+import { createRunFolder, saveRunFile } from './runs.js';
+import { loadJobDescription } from './jobDescription.js';
+import { renderCVFromTemplate } from './cvTemplate.js';
+import { buildPrompt, listPrompts, loadPrompt, promptVariables, setPromptOverrides } from './prompts.js';
+import { describeCVConventions, localePersonalDetails, resolveLocale } from './locale.js';
+import { resolveTailoring, selectItems, selectRoles } from './tailoring.js';
+import {
+  ANSWER_SUGGESTION_TYPES, applyAnswerEdits, countWords, draftAnswer, enforceWordLimit, formatAnswersMarkdown, loadQuestions,
+  suggestAnswerImprovements,
+} from './answers.js';
+import { formatProblems, validateCVBase, validateInputs } from './validate.js';
+import { fromJSONResume, toJSONResume } from './jsonResume.js';
+import { readLinkedInExport } from './linkedin.js';
+import { formatConflicts, mergeCVData } from './cvMerge.js';
+import { factCheckDocument } from './factCheck.js';
+import { analyseKeywordCoverage, formatCoverageReport } from './keywords.js';
+import { applyHunks, diffLines, formatHunk, formatHunkLabel, hunksOf } from './diff.js';
+import { formatUsageSummary, setStage, startUsage, stopUsage, usageSummary } from './usage.js';
+import { PENDING_FILE, loadPending, resolveAutoApprove, savePending, triageSuggestions } from './autoApprove.js';
+import { notify } from './notify.js';
+import { parseAdvertDate, planNextRun } from './schedule.js';
+import {
+  STATUSES, findJob, formatStatusTable, jobEntry, loadTracker, markDrafted, setStatus, updateTracker,
+} from './tracker.js';
+import { EXPORT_FORMATS, exportDocuments, letterWithHeader, resolveFormats, resolveTheme } from './export.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,20 +44,6 @@ const __dirname = path.dirname(__filename);
 // ————————————————————————————————————————————————
 // Configuration helpers
 // ————————————————————————————————————————————————
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-const TEMPERATURE = parseFloat(process.env.OPENAI_TEMPERATURE || '0.3');
-
-/**
- * Validates that required environment variables are set.
- * Throws an error if any required variable is missing.
- */
-function assertEnv() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not set. Create a .env file.');
-  }
-}
-
 /**
  * Reads a JSON file from the given path and parses it into an object.
  * @param {string} p - Path to the JSON file.
@@ -68,58 +81,10 @@ function isoNow() {
   return new Date().toISOString();
 }
 
-// ————————————————————————————————————————————————
-// LLM wrapper using Responses API with structured outputs
-// ————————————————————————————————————————————————
-/**
- * Sends a request to the LLM (Language Model) with the specified parameters.
- * Supports structured outputs using JSON Schema.
- * @param {Object} params - Parameters for the LLM request.
- * @param {string} params.instructions - Instructions for the LLM.
- * @param {string} params.input - Input text for the LLM.
- * @param {Object} [params.schema] - JSON Schema for structured output.
- * @param {number} [params.temperature] - Temperature for the LLM (default is TEMPERATURE).
- * @returns {Promise<any>} Response from the LLM.
- */
-async function sendToLLM({ instructions, input, schema, temperature = TEMPERATURE }) {
-  const options = {
-    model: MODEL,
-    tools: [{
-      type: "web_search_preview",
-      search_context_size: "medium",
-      user_location: {
-        "type": "approximate",
-        "country": "GB",
-      }
-    }],
-    temperature,
-    instructions: instructions || undefined,
-    input,
-  };
-
-  if (schema) {
-    options.text = {
-      format: {
-        name: 'structured_output',
-        type: 'json_schema',
-        schema,
-        strict: true,
-      },
-    };
-  }
+const MAX_SLEEP_MS = 60 * 60 * 1000; // daemon re-reads the tracker at least hourly
 
-  if (process.env.DEBUG === 'true') {
-    console.log('DEBUG: Sending to LLM:', inspect(options, { depth: null, colors: true }));
-  }
-
-  const res = await client.responses.create(options);
-
-  if (process.env.DEBUG === 'true') {
-    console.log('DEBUG: Response from LLM:', JSON.stringify(res, null, 2));
-  }
-
-  return schema ? JSON.parse(res.output_text) : res.output_text;
-}
+// The job's locale profile (see locale.js): language, CV conventions and web-search country.
+let locale = resolveLocale();
 
 // ————————————————————————————————————————————————
 // Domain logic — all functions now return structured outputs
@@ -131,12 +96,7 @@ async function sendToLLM({ instructions, input, schema, temperature = TEMPERATUR
  * @returns {Promise<Object>} Job description and sources.
  */
 async function fetchJobDescription(job) {
-  const input = [
-    {
-      role: 'user',
-      content: `Find the current job description for: "${job}". Return concise text and any sources consulted. If multiple postings exist, pick the most authoritative and most recent.`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('find-job-description', { job });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -159,33 +119,35 @@ async function fetchJobDescription(job) {
     },
     required: ['role_title','job_description','sources']
   };
-  const result = await sendToLLM({ input, schema, instructions: 'Extract and condense faithfully; include sources when possible.' });
+  const result = await sendToLLM({ input, schema, webSearch: { country: locale.searchCountry }, instructions });
   return result; // { role_title?, job_description, sources? }
 }
 
 /**
- * Checks whether applications are still open for the specified job.
- * Returns a boolean indicating the status and a confidence score.
+ * Checks whether applications are still open for the specified job, and what the advert
+ * says about its dates.
  * @param {string} job - Job title or description.
- * @returns {Promise<Object>} Application status and confidence score.
+ * @returns {Promise<Object>} `{ open, confidence, closing_date, reopening_date, recruitment_round }`;
+ *   dates are `yyyy-mm-dd` and, like the round, null when not announced.
  */
 async function applicationStillOpen(job) {
-  const input = [
-    {
-      role: 'user',
-      content: `Check whether applications are currently open for: "${job}". Today is ${new Date().toISOString()}.`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('check-application-open', { job, today: today() });
   const schema = {
     type: 'object',
     additionalProperties: false,
     properties: {
       open: { type: 'boolean' },
       confidence: { type: 'number', minimum: 0, maximum: 1 },
+      closing_date: { type: ['string', 'null'], description: 'yyyy-mm-dd' },
+      reopening_date: { type: ['string', 'null'], description: 'yyyy-mm-dd' },
+      recruitment_round: { type: ['string', 'null'] },
     },
-    required: ['open', 'confidence',]
+    required: ['open', 'confidence', 'closing_date', 'reopening_date', 'recruitment_round']
   };
-  return sendToLLM({ input, schema, instructions: 'Return a careful, up-to-date assessment.' });
+  const validate = (status) => ['closing_date', 'reopening_date']
+    .filter((key) => status[key] !== null && !parseAdvertDate(status[key]))
+    .map((key) => `${key} "${status[key]}" is not a yyyy-mm-dd date or null`);
+  return sendToLLM({ input, schema, validate, webSearch: { country: locale.searchCountry }, instructions });
 }
 
 /**
@@ -196,23 +158,7 @@ async function applicationStillOpen(job) {
  * @returns {Promise<Object>} Relevance score and rationale.
  */
 async function assessSkillRelevanceToNewJob(skillDescription, jobDescription) {
-  const input = [
-    { role: 'system', content: 'Return JSON only.' },
-    {
-      role: 'user',
-      content: `
-I am considering applying for the following job. Here is the dob description:
-=============================
-${jobDescription}
-=============================
-
-Please can you rate the relevance of the following skill for this job:
-=============================
-${skillDescription}
-=============================
-Please provide a score from 1 (not very relevant) to 10 (highly relevant) and provide a one-sentence rationale.`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('assess-skill', { jobDescription, skill: skillDescription });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -222,7 +168,7 @@ Please provide a score from 1 (not very relevant) to 10 (highly relevant) and pr
     },
     required: ['score','rationale']
   };
-  return sendToLLM({ input, schema }); // { score, rationale? }
+  return sendToLLM({ input, schema, instructions }); // { score, rationale? }
 }
 
 /**
@@ -243,25 +189,7 @@ Please provide a score from 1 (not very relevant) to 10 (highly relevant) and pr
  * @returns {Promise<Object>} A promise that resolves to an object containing:
 */
 async function assessRoleRelevanceToNewJob(role, jobDescription) {
-  const input = [
-    { role: 'system', content: 'Return JSON only.' },
-    {
-      role: 'user',
-      content: `Job description:
-I am considering applying for the following job. Here is the dob description:
-=============================
-${jobDescription}
-=============================
-
-Please can you assess the relevance of the following past role from my CV to this job:
-=============================
-Job Title: ${role.jobTitle}
-From: ${role.from} To: ${role.to}
-Description: ${role.description || '(no description provided)'}
-=============================
-Please provide a score from 1 (not very relevant) to 10 (highly relevant) and provide a one-sentence rationale.`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('assess-role', { jobDescription, role });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -271,10 +199,141 @@ Please provide a score from 1 (not very relevant) to 10 (highly relevant) and pr
     },
     required: ['score','rationale']
   };
-  return sendToLLM({ input, schema }); // { score, rationale? }
+  return sendToLLM({ input, schema, instructions }); // { score, rationale? }
+}
+
+/**
+ * Assesses the relevance of several CV items to a job in a single structured call.
+ *
+ * Items are numbered in the prompt and the model returns one `{ item, score, rationale }`
+ * entry per item, where `item` is the item's number. Items the model skips or numbers
+ * wrongly are simply absent from the result; callers score those individually.
+ *
+ * @async
+ * @function
+ * @param {string} kind - What the items are, e.g. "skills" or "past roles".
+ * @param {Array<string>} descriptions - Text of each item.
+ * @param {string} jobDescription - The description of the new job being considered.
+ * @returns {Promise<Map<number, Object>>} Map from item index (0-based) to `{ score, rationale }`.
+ */
+async function assessRelevanceBatch(kind, descriptions, jobDescription) {
+  const { input, instructions } = await buildPrompt('assess-batch', {
+    jobDescription,
+    kind,
+    items: descriptions.map((text, i) => ({ number: i + 1, text })),
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      scores: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            item: { type: 'integer' },
+            score: { type: 'integer', minimum: 1, maximum: 10 },
+            rationale: { type: 'string' }
+          },
+          required: ['item', 'score', 'rationale']
+        }
+      }
+    },
+    required: ['scores']
+  };
+  const validate = ({ scores: s }) => {
+    const items = s.map((x) => x.item);
+    const problems = [];
+    const outOfRange = items.filter((n) => n < 1 || n > descriptions.length);
+    if (outOfRange.length) problems.push(`item numbers ${outOfRange.join(', ')} are not between 1 and ${descriptions.length}`);
+    const missing = descriptions.map((_, i) => i + 1).filter((n) => !items.includes(n));
+    if (missing.length) problems.push(`items ${missing.join(', ')} were not scored`);
+    if (new Set(items).size < items.length) problems.push('some items were scored more than once');
+    return problems;
+  };
+  const { scores } = await sendToLLM({ input, schema, validate, instructions });
+  const byIndex = new Map();
+  for (const { item, score, rationale } of scores) {
+    const idx = item - 1;
+    if (idx >= 0 && idx < descriptions.length && !byIndex.has(idx)) byIndex.set(idx, { score, rationale });
+  }
+  return byIndex;
+}
+
+/**
+ * Runs `fn` over `items` with at most `limit` calls in flight, preserving order.
+ * @param {Array<any>} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {Function} fn - Async function called as `fn(item, index)`.
+ * @returns {Promise<Array<any>>} Results in the same order as `items`.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+const SCORING_MODES = ['sequential', 'parallel', 'batch'];
+
+/**
+ * Scores a list of CV items for relevance using the configured scoring mode:
+ * `sequential` (one call per item, in order), `parallel` (one call per item with
+ * bounded concurrency) or `batch` (one call per section, or per `batchSize` items).
+ * @param {Array<any>} items - Items to score.
+ * @param {Object} params - Scoring parameters.
+ * @param {string} params.kind - Plural name of the items for prompts, e.g. "skills".
+ * @param {Function} params.describe - Returns the text of an item for batch prompts.
+ * @param {Function} params.assessOne - Scores a single item: `(item) => Promise<{ score, rationale }>`.
+ * @param {string} params.jobDescription - Job description.
+ * @param {Object} [params.scoring] - `scoring` section of job.config.json.
+ * @returns {Promise<Array<Object>>} `{ score, rationale }` for each item, in input order.
+ */
+async function scoreRelevance(items, { kind, describe, assessOne, jobDescription, scoring = {} }) {
+  const mode = scoring.mode || 'sequential';
+  if (!SCORING_MODES.includes(mode)) {
+    throw new Error(`Unknown scoring mode "${mode}". Use one of: ${SCORING_MODES.join(', ')}`);
+  }
+  if (!items.length) return [];
+
+  if (mode === 'parallel') {
+    return mapWithConcurrency(items, scoring.concurrency ?? 4, assessOne);
+  }
+
+  if (mode === 'batch') {
+    const size = scoring.batchSize > 0 ? scoring.batchSize : items.length;
+    const results = new Array(items.length);
+    for (let start = 0; start < items.length; start += size) {
+      const chunk = items.slice(start, start + size);
+      const scored = await assessRelevanceBatch(kind, chunk.map(describe), jobDescription);
+      for (let i = 0; i < chunk.length; i += 1) {
+        if (scored.has(i)) {
+          results[start + i] = scored.get(i);
+        } else {
+          console.log(`[WARN] Batch scoring skipped "${describe(chunk[i])}"; scoring it individually.`);
+          results[start + i] = await assessOne(chunk[i]);
+        }
+      }
+    }
+    return results;
+  }
+
+  const results = [];
+  for (const item of items) results.push(await assessOne(item));
+  return results;
+}
+
+function describeRole(role) {
+  return `${role.jobTitle} (${role.from} - ${role.to || 'Present'})${role.description ? `: ${role.description}` : ''}`;
 }
 
-function byScoreDesc(a, b) { return b.score - a.score; }
 function byStartDateDesc(a, b) { return (b.from || '').localeCompare(a.from || ''); }
 
 /**
@@ -290,17 +349,11 @@ function byStartDateDesc(a, b) { return (b.from || '').localeCompare(a.from || '
  * @returns {Promise<Object>} - Structured LLM response including `cv_markdown`
  */
  async function composeCVMarkdown(cv) {
-  const cvJSON = JSON.stringify(cv, null, 2);
-  const input = [
-    {
-      role: 'user',
-      content: `Here is my CV as structured data (JSON):
-=============================
-${cvJSON}
-=============================
-Please convert this to a clean, well-formatted Markdown CV suitable for UK applications. Include dates as in dd/mm/yyyy format.`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('compose-cv', {
+    cvJSON: JSON.stringify(cv, null, 2),
+    locale,
+    conventions: describeCVConventions(locale),
+  });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -309,7 +362,7 @@ Please convert this to a clean, well-formatted Markdown CV suitable for UK appli
     },
     required: ['cv_markdown']
   };
-  return sendToLLM({ input, schema, instructions: 'Write professional CV Markdown.' }); // { cv_markdown, headings? }
+  return sendToLLM({ input, schema, instructions }); // { cv_markdown, headings? }
 }
 
 /**
@@ -326,16 +379,7 @@ Please convert this to a clean, well-formatted Markdown CV suitable for UK appli
  * @returns {Promise<Object>} - An object with a `suggestions` array of edit proposals
  */
 async function suggestCVImprovements(cvMarkdown) {
-  const input = [
-    {
-      role: 'user',
-      content: `Here is my current CV (Markdown). Please suggest specific improvements, corrections, or formatting fixes.
-
-=============================
-${cvMarkdown}
-=============================`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('suggest-cv-improvements', { cvMarkdown, locale });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -346,7 +390,7 @@ ${cvMarkdown}
           type: 'object',
           additionalProperties: false,
           properties: {
-            type: { type: 'string', enum: ['clarity', 'typo', 'formatting', 'impact', 'consistency', 'tone', 'other'] },
+            type: { type: 'string', enum: TYPE_OPTIONS },
             location: { type: 'string', description: 'Heading or brief excerpt' },
             suggestion: { type: 'string' }
           },
@@ -356,7 +400,7 @@ ${cvMarkdown}
     },
     required: ['suggestions']
   };
-  return sendToLLM({ input, schema, instructions: 'Provide actionable, concise suggestions.' });
+  return sendToLLM({ input, schema, instructions });
 }
 
 /**
@@ -373,23 +417,7 @@ ${cvMarkdown}
  * @returns {Promise<Object>} - Object containing `cv_markdown` (the revised CV)
  */
  async function applyCVEdits(cvMarkdown, suggestions) {
-  const input = [
-    {
-      role: 'user',
-      content: `Revise the CV applying ONLY the approved edits below.
-
-Original CV:
-=============================
-${cvMarkdown}
-=============================
-
-Approved edits (JSON):
-=============================
-${JSON.stringify(suggestions, null, 2)}
-=============================
-Return final edited Markdown only in the schema.`,
-    },
-  ];
+  const { input, instructions } = await buildPrompt('apply-cv-edits', { cvMarkdown, suggestionsJSON: JSON.stringify(suggestions, null, 2) });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -398,12 +426,7 @@ Return final edited Markdown only in the schema.`,
     },
     required: ['cv_markdown']
   };
-  return sendToLLM({
-    input,
-    schema,
-    instructions:
-      'Apply edits faithfully; do not introduce new content unless necessary to implement an edit.',
-  });
+  return sendToLLM({ input, schema, instructions });
 }
 
 // —— interactive helpers ——
@@ -412,9 +435,10 @@ function ask(rl, q, defaultInput = '') {
    return rl.question(q, { defaultInput });
 }
 
-function printSuggestions(suggestions) {
-  console.log('\nSuggested edits:');
+function printSuggestions(suggestions, filter = null) {
+  console.log(filter ? `\nSuggested edits (${filter} only; f to show all):` : '\nSuggested edits:');
   suggestions.forEach((s, i) => {
+    if (filter && s.type !== filter) return;
     const loc = s.location ? ` @ ${s.location}` : '';
     console.log(`${i + 1}. [${s.type}]${loc}\n   ${s.suggestion}\n`);
   });
@@ -440,52 +464,148 @@ function parseIndexList(inputStr, max) {
 }
 
 const TYPE_OPTIONS = ['clarity', 'typo', 'formatting', 'impact', 'consistency', 'tone', 'other'];
+const LETTER_SUGGESTION_TYPES = ['tone', 'specificity', 'alignment', 'length', 'other'];
+const REVIEW_COMMANDS = ['a', 'c', 'd', 'e', 'f', 'p', 'q', 'r', 's', 't', 'u'];
+
+// Shared by every review session in this process, so ↑ recalls commands from the CV review in the letter review.
+const reviewHistory = [];
+
+// Set in non-interactive mode: the `autoApprove` policy that stands in for every review prompt.
+let autoApprove = null;
+
+/**
+ * Settles suggestions without asking, following the `autoApprove` policy: applies some,
+ * defers some to the run's pending-review file and discards the rest. Applied edits are
+ * kept whole, since there is nobody to review the diff.
+ * @param {string} label - What is being reviewed, for the log, e.g. "CV".
+ * @param {Array<Object>} suggestions - Suggestions to settle.
+ * @param {Function} applyEdits - `(list) => Promise<string>` applying suggestions.
+ * @param {string} document - The document the suggestions are for.
+ * @returns {Promise<Object>} `{ text, approved, deferred }`.
+ */
+async function settleSuggestions(label, suggestions, applyEdits, document) {
+  const { apply, defer, discard } = triageSuggestions(suggestions, autoApprove);
+  console.log(`[INFO] ${label}: applying ${apply.length}, deferring ${defer.length} and discarding ${discard.length} suggestion(s) (autoApprove).`);
+  const text = apply.length ? await applyEdits(apply) : document;
+  return { text, approved: apply, deferred: defer };
+}
+
+/**
+ * Finds the lines of a document a suggestion's `location` refers to.
+ * @param {string} document - Document text.
+ * @param {string} location - Heading or excerpt from the suggestion.
+ * @param {number} [context] - Lines to show either side of the match.
+ * @returns {string|null} Numbered excerpt, or null if the location is not found.
+ */
+function findExcerpt(document, location, context = 2) {
+  const needle = location.replace(/^#+\s*/, '').trim().toLowerCase();
+  if (!needle) return null;
+  const lines = document.split('\n');
+  const at = lines.findIndex((l) => l.toLowerCase().includes(needle));
+  if (at < 0) return null;
+  const start = Math.max(0, at - context);
+  const end = Math.min(lines.length, at + context + 1);
+  const width = String(end).length;
+  return lines
+    .slice(start, end)
+    .map((l, i) => `${start + i === at ? '>' : ' '} ${String(start + i + 1).padStart(width)} | ${l}`)
+    .join('\n');
+}
 
 /**
  * Interactively reviews and modifies a list of suggestions.
  * 
  * This function provides a command-line interface for users to review,
- * edit, or delete suggestions from a given list. Users can interactively
- * modify the list using commands such as delete, edit, continue, or quit.
+ * add, edit, retype, or delete suggestions from a given list, filter it by
+ * type, undo changes, look up the part of the document a suggestion refers
+ * to, and preview the result of applying it. With `allowRegenerate`,
+ * `r <guidance>` asks for the whole document to be redrafted with extra
+ * guidance instead. Commands and suggestion types tab-complete.
  * 
  * @async
  * @function
  * @param {Array<Object>} suggestions - An array of suggestion objects to review.
  * @param {string} suggestions[].suggestion - The suggestion text.
- * @returns {Promise<Array<Object>>} A promise that resolves to the modified list of suggestions.
+ * @param {Object} [options] - Review options.
+ * @param {Array<string>} [options.types] - Suggestion types the user may choose from.
+ * @param {string} [options.document] - The document under review, for `s`.
+ * @param {Function} [options.applyEdits] - `(list) => Promise<string>` applying suggestions, for `p`.
+ * @param {boolean} [options.allowRegenerate] - Offer the `r` (regenerate) command.
+ * @returns {Promise<Object>} `{ approved, guidance, applied }`: the modified list of suggestions, the
+ *   regeneration guidance if the user chose `r` (otherwise null), and the document with `approved`
+ *   applied if the last preview still matches it (otherwise null).
  */
-async function reviewSuggestionsInteractively(suggestions) {
+async function reviewSuggestionsInteractively(suggestions, {
+  types = TYPE_OPTIONS, document = '', applyEdits = null, allowRegenerate = false,
+} = {}) {
+
+  const commandNames = REVIEW_COMMANDS.filter((c) => allowRegenerate || c !== 'r');
+  let completing = commandNames;
+  const completer = (line) => {
+    const m = line.match(/^([ft])(\s+(?:\d+\s+)?)(\S*)$/);
+    if (completing === commandNames && m) {
+      const hits = types.filter((t) => t.startsWith(m[3]));
+      return [hits.map((t) => `${m[1]}${m[2]}${t}`), line];
+    }
+    const hits = completing.filter((c) => c.startsWith(line.trim()));
+    return [hits.length ? hits : completing, line];
+  };
+  const rl = readline.createInterface({ input, output, completer, history: reviewHistory, historySize: 200 });
+  const askType = async (q) => {
+    completing = types;
+    try {
+      return (await rl.question(q)).trim();
+    } finally {
+      completing = commandNames;
+    }
+  };
 
-  const rl = readline.createInterface({ input, output });
   let list = suggestions.map((s) => ({ ...s }));
+  const undoStack = [];
+  const change = (next) => { undoStack.push(list); list = next; };
+  let filter = null;
+  let preview = null; // { key, text } from the last `p`
+
+  const commands = [
+    'a add', 'd <idx[,..]|a> delete', 'e <idx> edit', 't <idx> [type] retype', 'f [type] filter', 'u undo',
+    's <idx> show', 'p preview', ...(allowRegenerate ? ['r <guidance> regenerate'] : []), 'c continue', 'q quit',
+  ].join(' | ');
+  const pickIndex = (rest) => {
+    const idx = parseInt(rest, 10) - 1;
+    if (!Number.isInteger(idx) || idx < 0 || idx >= list.length) {
+      console.log('Out of range.');
+      return null;
+    }
+    return idx;
+  };
 
   try {
     for (;;) {
-      printSuggestions(list);
-      console.log('Commands: d <idx[,..]|a> delete | e <idx> edit | c continue | q quit');
+      printSuggestions(list, filter);
+      console.log(`Commands: ${commands}`);
       const line = (await rl.question('> ')).trim();
       if (!line) continue;
 
-      const [cmd, restRaw] = line.split(/\s+/, 2);
-      const rest = restRaw || '';
+      const [cmd] = line.split(/\s+/, 1);
+      const rest = line.slice(cmd.length).trim();
 
-      if (cmd === 'q') return [];          // user aborted
-      if (cmd === 'c') return list;        // user happy → apply all once
+      if (cmd === 'q') return { approved: [], guidance: null, applied: null };   // user aborted
+      if (cmd === 'c') {                                                         // user happy → apply all once
+        const applied = preview?.key === JSON.stringify(list) ? preview.text : null;
+        return { approved: list, guidance: null, applied };
+      }
 
       if (cmd === 'd') {
-        if (rest === 'a') { list = []; continue; }
+        if (rest === 'a') { change([]); continue; }
         const idxs = parseIndexList(rest, list.length);
         if (!idxs.length) { console.log('No valid indices.'); continue; }
-        list = list.filter((_, i) => !idxs.includes(i));
+        change(list.filter((_, i) => !idxs.includes(i)));
         continue;
       }
 
       if (cmd === 'e') {
-        const idx = parseInt(rest, 10) - 1;
-        if (!Number.isInteger(idx) || idx < 0 || idx >= list.length) {
-          console.log('Out of range.');
-          continue;
-        }
+        const idx = pickIndex(rest);
+        if (idx === null) continue;
         const item = { ...list[idx] };
 
       console.log(`\nEditing #${idx + 1}`);
@@ -493,10 +613,68 @@ async function reviewSuggestionsInteractively(suggestions) {
       const newSug = (await ask(rl, 'Enter new suggestion (leave blank to keep current): ', item.suggestion)).trim();
       if (newSug) item.suggestion = newSug;
 
-        list[idx] = item;
+        change(list.map((s, i) => (i === idx ? item : s)));
+        continue;
+      }
+
+      if (cmd === 'a') {
+        const type = (await askType(`Type (${types.join(', ')}): `)) || 'other';
+        if (!types.includes(type)) { console.log(`Unknown type. Use one of: ${types.join(', ')}`); continue; }
+        const location = (await rl.question('Location (heading or excerpt, optional): ')).trim();
+        const suggestion = (await rl.question('Suggestion: ')).trim();
+        if (!suggestion) { console.log('Nothing added.'); continue; }
+        change([...list, { type, location, suggestion }]);
         continue;
       }
 
+      if (cmd === 't') {
+        const [idxStr, typeArg] = rest.split(/\s+/);
+        const idx = pickIndex(idxStr);
+        if (idx === null) continue;
+        const type = typeArg || (await askType(`New type for #${idx + 1} (${types.join(', ')}): `));
+        if (!types.includes(type)) { console.log(`Unknown type. Use one of: ${types.join(', ')}`); continue; }
+        change(list.map((s, i) => (i === idx ? { ...s, type } : s)));
+        continue;
+      }
+
+      if (cmd === 'f') {
+        if (rest && !types.includes(rest)) { console.log(`Unknown type. Use one of: ${types.join(', ')}`); continue; }
+        filter = rest || null;
+        continue;
+      }
+
+      if (cmd === 'u') {
+        if (!undoStack.length) { console.log('Nothing to undo.'); continue; }
+        list = undoStack.pop();
+        continue;
+      }
+
+      if (cmd === 's') {
+        const idx = pickIndex(rest);
+        if (idx === null) continue;
+        const excerpt = list[idx].location ? findExcerpt(document, list[idx].location) : null;
+        console.log(excerpt ? `\n${excerpt}\n` : 'Location not found in the document.');
+        continue;
+      }
+
+      if (cmd === 'p') {
+        if (!applyEdits) { console.log('Preview is not available here.'); continue; }
+        if (!list.length) { console.log('No suggestions to apply.'); continue; }
+        const key = JSON.stringify(list);
+        if (preview?.key !== key) {
+          console.log(`[INFO] Applying ${list.length} suggestion(s) for preview.`);
+          preview = { key, text: await applyEdits(list) };
+        }
+        printPreview('the result', preview.text);
+        continue;
+      }
+
+      if (cmd === 'r' && allowRegenerate) {
+        const guidance = rest || (await rl.question('Extra guidance for the new draft: ')).trim();
+        if (!guidance) { console.log('No guidance given.'); continue; }
+        return { approved: [], guidance, applied: null };
+      }
+
       console.log('Unknown command.');
     }
   } finally {
@@ -504,31 +682,134 @@ async function reviewSuggestionsInteractively(suggestions) {
   }
 }
 
+/**
+ * Prints a Markdown document rendered for the terminal.
+ * @param {string} title - What is being previewed, e.g. "your CV".
+ * @param {string} markdown - Document text.
+ */
+function printPreview(title, markdown) {
+  marked.setOptions({
+    renderer: new TerminalRenderer(),
+  });
+  console.log(`\nPreview of ${title} in Markdown format:\n=================================================================\n`);
+  console.log(marked(markdown));
+}
+
+/**
+ * Works out which approved suggestion(s) each hunk of an edit implements.
+ *
+ * @param {Array<Object>} hunks - Hunks from `diffLines`, each with `removed` and `added` lines
+ * @param {Array<Object>} suggestions - Approved suggestions that were applied
+ * @returns {Promise<Array<Array<Object>>>} - For each hunk, the suggestions it implements (possibly none)
+ */
+async function attributeHunks(hunks, suggestions) {
+  const listed = hunks
+    .map((h, i) => `Change ${i + 1}:\n${[...h.removed.map((l) => `- ${l}`), ...h.added.map((l) => `+ ${l}`)].join('\n')}`)
+    .join('\n\n');
+  const { input, instructions } = await buildPrompt('attribute-changes', {
+    suggestions: suggestions.map((sg, i) => ({ ...sg, number: i + 1 })),
+    changes: listed,
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      changes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            change: { type: 'integer' },
+            suggestions: { type: 'array', items: { type: 'integer' } }
+          },
+          required: ['change', 'suggestions']
+        }
+      }
+    },
+    required: ['changes']
+  };
+  const { changes } = await sendToLLM({ input, schema, temperature: 0, instructions });
+  return hunks.map((_, i) => {
+    const found = changes.find((c) => c.change === i + 1);
+    const picked = new Set((found?.suggestions || []).filter((n) => Number.isInteger(n) && n >= 1 && n <= suggestions.length));
+    return [...picked].sort((x, y) => x - y).map((n) => suggestions[n - 1]);
+  });
+}
+
+/**
+ * Shows the line-level diff between a document and its edited version, labels each
+ * hunk with the suggestions it implements (flagging hunks that implement none), and
+ * lets the user accept or reject each hunk. Only accepted hunks make it into the result.
+ *
+ * @async
+ * @function reviewEditDiff
+ * @param {string} before - The document before the edits.
+ * @param {string} after - The document the LLM returned.
+ * @param {Array<Object>} suggestions - The approved suggestions that were applied.
+ * @returns {Promise<string>} The document with only the accepted hunks applied.
+ */
+async function reviewEditDiff(before, after, suggestions) {
+  const segments = diffLines(before, after);
+  const hunks = hunksOf(segments);
+  if (!hunks.length) {
+    console.log('[WARN] The approved edits did not change the document.');
+    return before;
+  }
+
+  const labels = await attributeHunks(hunks, suggestions);
+  const accepted = new Set();
+  const rl = readline.createInterface({ input, output });
+  try {
+    let rest = null; // 'a' accept or 'd' discard every remaining hunk
+    for (const [i, hunk] of hunks.entries()) {
+      console.log(`\n${formatHunkLabel(i + 1, hunks.length, labels[i])}\n${formatHunk(segments, hunk)}\n`);
+      let answer = rest;
+      while (!answer) {
+        const line = (await rl.question('Keep this change? [y]es [n]o [a]ll remaining [d]iscard remaining > ')).trim().toLowerCase();
+        if (['y', 'n', 'a', 'd'].includes(line)) answer = line;
+        else console.log('Please answer y, n, a or d.');
+      }
+      if (answer === 'a' || answer === 'd') rest = answer;
+      if (answer === 'y' || answer === 'a') accepted.add(hunk);
+    }
+  } finally {
+    rl.close();
+  }
+  console.log(`[INFO] Kept ${accepted.size} of ${hunks.length} change(s).`);
+  return applyHunks(segments, accepted);
+}
+
 /**
  * Enhances a CV written in Markdown format by providing suggestions for improvements
- * and allowing the user to interactively review and apply those suggestions.
+ * and allowing the user to interactively review and apply those suggestions. The
+ * resulting changes are then shown as a diff and accepted or rejected hunk by hunk.
  *
  * @async
  * @function polishCV
  * @param {string} cvMarkdown - The CV content in Markdown format.
- * @returns {Promise<string>} - A promise that resolves to the improved CV in Markdown format.
+ * In non-interactive mode the `autoApprove` policy settles the suggestions instead.
+ * @returns {Promise<Object>} - A promise that resolves to `{ cvMarkdown, approvedSuggestions, deferredSuggestions }`,
+ *   the improved CV in Markdown format, the suggestions the user approved, and those deferred for later review.
  */
 async function polishCV(cvMarkdown) {
-
-  marked.setOptions({
-    renderer: new TerminalRenderer(),
-  });
-  console.log('\nPreview of your CV in Markdown format:\n=================================================================\n');
-  console.log(marked(cvMarkdown));
+  if (!autoApprove) printPreview('your CV', cvMarkdown);
 
   const { suggestions } = await suggestCVImprovements(cvMarkdown);
-  if (!suggestions || suggestions.length === 0) return cvMarkdown;
+  if (!suggestions || suggestions.length === 0) return { cvMarkdown, approvedSuggestions: [], deferredSuggestions: [] };
 
-  const approvedList = await reviewSuggestionsInteractively(suggestions);
-  if (!approvedList.length) return cvMarkdown; // user quit or removed everything
+  const applyEdits = async (list) => (await applyCVEdits(cvMarkdown, list)).cv_markdown;
+  if (autoApprove) {
+    const { text, approved, deferred } = await settleSuggestions('CV', suggestions, applyEdits, cvMarkdown);
+    return { cvMarkdown: text, approvedSuggestions: approved, deferredSuggestions: deferred };
+  }
+  const { approved: approvedList, applied } = await reviewSuggestionsInteractively(suggestions, {
+    types: TYPE_OPTIONS, document: cvMarkdown, applyEdits,
+  });
+  if (!approvedList.length) return { cvMarkdown, approvedSuggestions: [], deferredSuggestions: [] }; // user quit or removed everything
 
-  const { cv_markdown } = await applyCVEdits(cvMarkdown, approvedList);
-  return cv_markdown;
+  const edited = applied ?? (await applyEdits(approvedList));
+  return { cvMarkdown: await reviewEditDiff(cvMarkdown, edited, approvedList), approvedSuggestions: approvedList, deferredSuggestions: [] };
 }
 
 /**
@@ -539,31 +820,137 @@ async function polishCV(cvMarkdown) {
  * @param {Object} cvBaseData - The applicant's CV data, containing background information.
  * @param {string} coveringLetterThoughts - Personal notes to guide the tone and emphasis of the letter.
  * @param {string} jobDescription - The job description for the position being applied for.
+ * @param {Array<string>} [guidance] - Extra instructions from the user, given when regenerating a draft.
+ * @param {Object} [angle] - One of LETTER_ANGLES; the letter then follows that angle and also
+ *   returns a one-sentence `strategy` summary.
  * @returns {Promise<Object>} A promise that resolves to an object containing the generated covering letter.
  * @throws {Error} If the input data is invalid or the letter generation fails.
  */
-async function draftCoveringLetter(cvBaseData, coveringLetterThoughts, jobDescription) {
-  const input = [
-    {
-      role: 'user',
-      content: `I am applying for this job:
-=============================
-${jobDescription}
-=============================
-
-Here is some background about me (CV data):
-=============================
-${JSON.stringify(cvBaseData, null, 2)}
-=============================
-
-Here are personal notes to guide tone and emphasis:
-=============================
-${coveringLetterThoughts}
-=============================
-
-Write a persuasive, tailored covering letter in British English, 400–650 words.`,
+async function draftCoveringLetter(cvBaseData, coveringLetterThoughts, jobDescription, guidance = [], angle = null) {
+  const { input, instructions } = await buildPrompt('draft-letter', {
+    jobDescription,
+    cvJSON: JSON.stringify(cvBaseData, null, 2),
+    notes: coveringLetterThoughts,
+    angle: angle && { ...angle, words: angle.words ?? locale.letterWords },
+    locale,
+    guidance,
+  });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      covering_letter: { type: 'string' },
+      ...(angle ? { strategy: { type: 'string' } } : {}),
     },
-  ];
+    required: angle ? ['covering_letter', 'strategy'] : ['covering_letter']
+  };
+  // Allow 10% either side of the target so near misses are not sent back.
+  const [min, max] = (angle?.words ?? locale.letterWords).split(/[–-]/).map(Number);
+  const validate = ({ covering_letter: letter }) => {
+    const n = countWords(letter);
+    if (n < min * 0.9) return `the letter is ${n} words; it must be at least ${min}`;
+    if (n > max * 1.1) return `the letter is ${n} words; it must be at most ${max}`;
+    return null;
+  };
+  return sendToLLM({ input, schema, validate, instructions });
+}
+
+/**
+ * Requests suggestions for improving a covering letter, judged against the job description.
+ *
+ * Suggestion types are 'tone', 'specificity', 'alignment' (to the job description),
+ * 'length', or 'other'.
+ *
+ * @param {string} letter - The covering letter in Markdown format
+ * @param {string} jobDescription - The job description the letter responds to
+ * @param {string} [words] - Target length as `min–max` words (default: the locale's)
+ * @returns {Promise<Object>} - An object with a `suggestions` array of edit proposals
+ */
+async function suggestLetterImprovements(letter, jobDescription, words = locale.letterWords) {
+  const { input, instructions } = await buildPrompt('suggest-letter-improvements', { jobDescription, letter, words, locale });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            type: { type: 'string', enum: LETTER_SUGGESTION_TYPES },
+            location: { type: 'string', description: 'Paragraph or brief excerpt' },
+            suggestion: { type: 'string' }
+          },
+          required: ['type', 'location', 'suggestion']
+        }
+      }
+    },
+    required: ['suggestions']
+  };
+  return sendToLLM({ input, schema, instructions });
+}
+
+/**
+ * Applies approved edits to a covering letter using the LLM, changing nothing else.
+ *
+ * @param {string} letter - The original covering letter in Markdown format
+ * @param {Array<Object>} suggestions - Approved edits, each with `type`, `location`, and `suggestion`
+ * @returns {Promise<Object>} - Object containing `covering_letter` (the revised letter)
+ */
+async function applyLetterEdits(letter, suggestions) {
+  const { input, instructions } = await buildPrompt('apply-letter-edits', { letter, suggestionsJSON: JSON.stringify(suggestions, null, 2) });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      covering_letter: { type: 'string' }
+    },
+    required: ['covering_letter']
+  };
+  return sendToLLM({ input, schema, instructions });
+}
+
+// —— covering letter variants ——
+// Angles without `words` take the locale's letter length.
+const LETTER_ANGLES = [
+  { name: 'mission-led', brief: "Lead with why the organisation's mission matters to me and how my values and experience serve it." },
+  { name: 'achievement-led', brief: 'Lead with my two or three most relevant achievements, with their results, as evidence I can do the job.' },
+  { name: 'concise', words: '200–300', brief: 'Be direct and brief: a short opening, one paragraph per key strength, and a short close.' },
+  { name: 'requirements-matched', brief: "Take the job description's main requirements in turn and show my matching experience for each." },
+  { name: 'story-led', brief: 'Open with a short, concrete story from my work that shows why I suit this role, then widen out.' },
+];
+
+function splitParagraphs(letter) {
+  return letter.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Drafts one covering letter per angle, in parallel.
+ * @param {number} count - Number of variants (at most LETTER_ANGLES.length).
+ * @param {Object} cvBaseData - CV base data.
+ * @param {string} notes - Covering letter notes.
+ * @param {string} jobDescription - Job description.
+ * @returns {Promise<Array<Object>>} Variants as `{ angle, strategy, letter, paragraphs }`.
+ */
+async function draftLetterVariants(count, cvBaseData, notes, jobDescription) {
+  const angles = LETTER_ANGLES.slice(0, count);
+  console.log(`[INFO] Drafting ${angles.length} covering letter variants: ${angles.map((a) => a.name).join(', ')}.`);
+  return Promise.all(angles.map(async (angle) => {
+    const { covering_letter, strategy } = await draftCoveringLetter(cvBaseData, notes, jobDescription, [], angle);
+    return { angle, strategy, letter: covering_letter, paragraphs: splitParagraphs(covering_letter) };
+  }));
+}
+
+/**
+ * Merges paragraphs picked from several letter variants into one coherent letter,
+ * keeping their content and order and smoothing the joins.
+ * @param {Array<string>} paragraphs - Paragraphs in the order the user wants them.
+ * @param {string} jobDescription - Job description.
+ * @returns {Promise<Object>} `{ covering_letter }`.
+ */
+async function mergeLetterParagraphs(paragraphs, jobDescription) {
+  const { input, instructions } = await buildPrompt('merge-letter-paragraphs', { jobDescription, paragraphs: paragraphs.join('\n\n'), locale });
   const schema = {
     type: 'object',
     additionalProperties: false,
@@ -572,7 +959,206 @@ Write a persuasive, tailored covering letter in British English, 400–650 words
     },
     required: ['covering_letter']
   };
-  return sendToLLM({ input, schema, instructions: 'Produce a concise, persuasive letter aligned to the role.' });
+  return sendToLLM({ input, schema, instructions });
+}
+
+/**
+ * Shows each letter variant with its strategy and numbered paragraphs, then lets the user
+ * pick one (`<n>`) or pick paragraphs from several (`m 1.1,2.3,1.4`) to merge. In non-interactive
+ * mode the first variant is used.
+ * @param {Array<Object>} variants - Output of `draftLetterVariants`.
+ * @param {string} jobDescription - Job description, for merging.
+ * @returns {Promise<Object>} `{ letter, angle, choice }` — the chosen or merged letter, the angle to
+ *   keep when redrafting (null after a merge), and what was chosen (for the run folder).
+ */
+async function chooseLetterVariant(variants, jobDescription) {
+  if (autoApprove) {
+    console.log(`[INFO] Using letter variant 1 (${variants[0].angle.name}); every variant is saved in letter-variants.json.`);
+    return { letter: variants[0].letter, angle: variants[0].angle, choice: { variant: 1 } };
+  }
+  variants.forEach((v, i) => {
+    console.log(`\n=== Variant ${i + 1}: ${v.angle.name} ===`);
+    console.log(`Strategy: ${v.strategy}\n`);
+    v.paragraphs.forEach((p, j) => console.log(`[${i + 1}.${j + 1}] ${p}\n`));
+  });
+
+  const rl = readline.createInterface({ input, output });
+  try {
+    for (;;) {
+      console.log(`Commands: <n> use variant n | m <v.p>[,v.p..] merge paragraphs (e.g. m 1.1,2.2,1.3)`);
+      const line = (await rl.question('> ')).trim();
+      const n = Number(line);
+      if (Number.isInteger(n) && n >= 1 && n <= variants.length) {
+        const v = variants[n - 1];
+        return { letter: v.letter, angle: v.angle, choice: { variant: n } };
+      }
+      if (line.startsWith('m ')) {
+        const refs = line.slice(2).split(/\s*,\s*/).filter(Boolean);
+        const paragraphs = refs.map((ref) => {
+          const [vi, pi] = ref.split('.').map((x) => parseInt(x, 10));
+          return variants[vi - 1]?.paragraphs[pi - 1];
+        });
+        if (!refs.length || paragraphs.some((p) => p === undefined)) {
+          console.log('Use paragraph numbers as shown, e.g. m 1.1,2.3.');
+          continue;
+        }
+        console.log(`[INFO] Merging ${paragraphs.length} paragraph(s) into one letter.`);
+        const { covering_letter } = await mergeLetterParagraphs(paragraphs, jobDescription);
+        return { letter: covering_letter, angle: null, choice: { merged: refs } };
+      }
+      console.log('Unknown command.');
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Lets the user review the covering letter the same way as the CV: preview, typed
+ * suggestions, delete/edit/continue, and one structured apply step. The `r` command
+ * redrafts the letter with extra guidance and starts the review again.
+ *
+ * @async
+ * @function polishCoveringLetter
+ * @param {string} letter - The drafted covering letter.
+ * @param {Object} context - What a redraft needs.
+ * @param {Object} context.cvBaseData - CV base data.
+ * @param {string} context.notes - Covering letter notes.
+ * @param {string} context.jobDescription - Job description.
+ * @param {Object} [context.angle] - Angle of the chosen letter variant, kept when redrafting.
+ * @returns {Promise<Object>} `{ coveringLetter, approvedSuggestions, deferredSuggestions, guidance }` — the
+ *   final letter, the suggestions applied to it, those deferred for later review (non-interactive mode only),
+ *   and any guidance used to redraft it.
+ */
+async function polishCoveringLetter(letter, { cvBaseData, notes, jobDescription, angle = null }) {
+  const guidance = [];
+  for (;;) {
+    if (!autoApprove) printPreview('your covering letter', letter);
+
+    const { suggestions } = await suggestLetterImprovements(letter, jobDescription, angle?.words ?? locale.letterWords);
+    if (!suggestions || suggestions.length === 0) return { coveringLetter: letter, approvedSuggestions: [], deferredSuggestions: [], guidance };
+
+    const applyEdits = async (list) => (await applyLetterEdits(letter, list)).covering_letter;
+    if (autoApprove) {
+      const { text, approved, deferred } = await settleSuggestions('Covering letter', suggestions, applyEdits, letter);
+      return { coveringLetter: text, approvedSuggestions: approved, deferredSuggestions: deferred, guidance };
+    }
+    const { approved, guidance: extra, applied } = await reviewSuggestionsInteractively(suggestions, {
+      types: LETTER_SUGGESTION_TYPES, document: letter, applyEdits, allowRegenerate: true,
+    });
+    if (extra) {
+      guidance.push(extra);
+      console.log(`[INFO] Redrafting covering letter with your guidance.`);
+      ({ covering_letter: letter } = await draftCoveringLetter(cvBaseData, notes, jobDescription, guidance, angle));
+      continue;
+    }
+    if (!approved.length) return { coveringLetter: letter, approvedSuggestions: [], deferredSuggestions: [], guidance };
+
+    const edited = applied ?? (await applyEdits(approved));
+    return { coveringLetter: await reviewEditDiff(letter, edited, approved), approvedSuggestions: approved, deferredSuggestions: [], guidance };
+  }
+}
+
+// —— application-form answers ——
+/**
+ * Picks the achievements and roles most relevant to one question, scored the same way as
+ * `draftCV` scores them against the job description.
+ * @param {Object} question - `{ question }`.
+ * @param {Object} cvBaseData - CV base data.
+ * @param {string} jobDescription - Job description, for context.
+ * @param {Object} scoring - `scoring` section of the job config.
+ * @returns {Promise<Object>} `{ achievements, roles }` — the top 3 achievements and top 2 roles.
+ */
+async function selectAnswerEvidence(question, cvBaseData, jobDescription, scoring) {
+  const target = `Application form question: ${question.question}\n\nThe job:\n${jobDescription}`;
+  const achievements = cvBaseData.achievements || [];
+  const achievementScores = await scoreRelevance(achievements, {
+    kind: 'achievements',
+    describe: (a) => a,
+    assessOne: (a) => assessSkillRelevanceToNewJob(a, target),
+    jobDescription: target,
+    scoring,
+  });
+  const roles = cvBaseData.pastJobRoles || [];
+  const roleScores = await scoreRelevance(roles, {
+    kind: 'past roles',
+    describe: describeRole,
+    assessOne: (r) => assessRoleRelevanceToNewJob(r, target),
+    jobDescription: target,
+    scoring,
+  });
+  const policy = { minScore: 1, maxItems: 3, pinned: [] };
+  const topAchievements = selectItems(achievements.map((text, i) => ({ text, ...achievementScores[i] })), policy, 'achievement')
+    .filter((a) => a.included)
+    .map((a) => a.text);
+  const topRoles = selectItems(roles.map((role, i) => ({ text: describeRole(role), role, ...roleScores[i] })), { ...policy, maxItems: 2 }, 'role')
+    .filter((r) => r.included)
+    .map((r) => r.role);
+  return { achievements: topAchievements, roles: topRoles };
+}
+
+/**
+ * Reviews one answer the same way as the covering letter: preview, suggestions, the review
+ * commands (including `r` to redraft with guidance), and the hunk-by-hunk diff. The word
+ * limit is enforced again after every change.
+ * @param {string} answer - Drafted answer (within the limit).
+ * @param {Object} question - `{ question, wordLimit, framework }`.
+ * @param {Function} redraft - `(guidance) => Promise<string>` drafting the answer again.
+ * @returns {Promise<Object>} `{ answer, approvedSuggestions, deferredSuggestions, guidance }`.
+ */
+async function polishAnswer(answer, question, redraft) {
+  const guidance = [];
+  let text = answer;
+  for (;;) {
+    if (!autoApprove) printPreview(`your answer (${countWords(text)}/${question.wordLimit} words)`, `**${question.question}**\n\n${text}`);
+
+    const { suggestions } = await suggestAnswerImprovements(question, text);
+    if (!suggestions || suggestions.length === 0) return { answer: text, approvedSuggestions: [], deferredSuggestions: [], guidance };
+
+    const applyEdits = (list) => applyAnswerEdits(text, list);
+    if (autoApprove) {
+      const { text: edited, approved, deferred } = await settleSuggestions('Answer', suggestions, applyEdits, text);
+      return { answer: await enforceWordLimit(edited, question), approvedSuggestions: approved, deferredSuggestions: deferred, guidance };
+    }
+    const { approved, guidance: extra, applied } = await reviewSuggestionsInteractively(suggestions, {
+      types: ANSWER_SUGGESTION_TYPES, document: text, applyEdits, allowRegenerate: true,
+    });
+    if (extra) {
+      guidance.push(extra);
+      console.log(`[INFO] Redrafting answer with your guidance.`);
+      text = await enforceWordLimit(await redraft(guidance), question);
+      continue;
+    }
+    if (!approved.length) return { answer: text, approvedSuggestions: [], deferredSuggestions: [], guidance };
+
+    const edited = await reviewEditDiff(text, applied ?? (await applyEdits(approved)), approved);
+    return { answer: await enforceWordLimit(edited, question), approvedSuggestions: approved, deferredSuggestions: [], guidance };
+  }
+}
+
+/**
+ * Drafts, limits and reviews an answer for every application-form question.
+ * @param {Array<Object>} questions - Output of `loadQuestions`.
+ * @param {Object} context - `{ cvBaseData, notes, jobDescription, scoring }`.
+ * @returns {Promise<Array<Object>>} Per question: `{ id, question, framework, wordLimit, words, answer,
+ *   evidence, approvedSuggestions, deferredSuggestions, guidance }`.
+ */
+async function draftAnswers(questions, { cvBaseData, notes, jobDescription, scoring = {} }) {
+  const results = [];
+  for (const [i, q] of questions.entries()) {
+    console.log(`[INFO] Question ${i + 1}/${questions.length} (${q.framework}, ${q.wordLimit} words): ${q.question}`);
+    const evidence = await selectAnswerEvidence(q, cvBaseData, jobDescription, scoring);
+    console.log(`[INFO] Using ${evidence.achievements.length} achievement(s) and ${evidence.roles.length} role(s) as evidence.`);
+    const redraft = (guidance = []) => draftAnswer(q, evidence, notes, jobDescription, guidance, locale.language);
+    const drafted = await enforceWordLimit(await redraft(), q);
+    const { answer, approvedSuggestions, deferredSuggestions, guidance } = await polishAnswer(drafted, q, redraft);
+    console.log(`[INFO] Answer ${i + 1} final: ${countWords(answer)}/${q.wordLimit} words.`);
+    results.push({
+      id: q.id, question: q.question, framework: q.framework, wordLimit: q.wordLimit,
+      words: countWords(answer), answer, evidence, approvedSuggestions, deferredSuggestions, guidance,
+    });
+  }
+  return results;
 }
 
 // ————————————————————————————————————————————————
@@ -580,95 +1166,369 @@ Write a persuasive, tailored covering letter in British English, 400–650 words
 // ————————————————————————————————————————————————
 /**
  * Drafts a CV tailored to the specified job description.
- * Filters and ranks skills, achievements, and past roles based on relevance.
+ * Filters and ranks skills, achievements, and past roles based on relevance, following
+ * the `tailoring` policy (minimum scores, item limits, pinned items, recency weighting).
  * @param {Object} cvBaseData - Base CV data.
  * @param {string} jobDescription - Job description.
- * @returns {Promise<string>} Drafted CV in Markdown format.
+ * @param {Object} [jobCfg] - Job runtime config; uses the `scoring`, `tailoring` and `cv` sections.
+ * @param {string} [configDir] - Folder of the job config, for resolving a custom CV template path.
+ * @returns {Promise<Object>} `{ cvMarkdown, relevance, approvedSuggestions, deferredSuggestions }` — the
+ *   drafted CV in Markdown format, the per-item scores and rationales, and the approved and deferred
+ *   polishing suggestions.
  */
-async function draftCV(cvBaseData, jobDescription) {
+async function draftCV(cvBaseData, jobDescription, jobCfg = {}, configDir = process.cwd()) {
+  const { scoring = {}, cv: cvOptions = {} } = jobCfg;
+  const tailoring = resolveTailoring(jobCfg.tailoring);
   const cv = {
-    personalDetails: cvBaseData.personalDetails,
+    personalDetails: localePersonalDetails(cvBaseData.personalDetails, locale),
     qualifications: cvBaseData.qualifications,
   };
 
 // Skills with relevance
+setStage('scoring');
 console.log(`[INFO] Assessing relevance of skills to the job description.`);
-const skillsWithRelevance = [];
-for (const skill of cvBaseData.skills || []) {
-   console.log(`[INFO] Assessing skill: "${skill}"`);
-   const { score, rationale } = await assessSkillRelevanceToNewJob(skill, jobDescription);
+const skills = cvBaseData.skills || [];
+const skillScores = await scoreRelevance(skills, {
+   kind: 'skills',
+   describe: (skill) => skill,
+   assessOne: (skill) => {
+      console.log(`[INFO] Assessing skill: "${skill}"`);
+      return assessSkillRelevanceToNewJob(skill, jobDescription);
+   },
+   jobDescription,
+   scoring,
+});
+const skillsWithRelevance = selectItems(skills.map((skill, i) => {
+   const { score, rationale } = skillScores[i];
    console.log(`[INFO] Skill "${skill}" scored ${score}/10. Rationale: ${rationale}`);
-   skillsWithRelevance.push({ skill, score, rationale });
-}
-skillsWithRelevance.sort(byScoreDesc);
-cv.skills = skillsWithRelevance.slice(0, 10).map(s => s.skill);
-console.log(`[INFO] Top 10 relevant skills selected.`);
+   return { text: skill, score, rationale };
+}), tailoring.skills, 'skill').map(({ text, ...rest }) => ({ skill: text, ...rest }));
+cv.skills = skillsWithRelevance.filter((s) => s.included).map((s) => s.skill);
+console.log(`[INFO] ${cv.skills.length} of ${skills.length} skills selected.`);
 
 // Achievements with relevance
 console.log(`[INFO] Assessing relevance of achievements to the job description.`);
-const achievementsWithRelevance = [];
-for (const achievement of cvBaseData.achievements || []) {
-   console.log(`[INFO] Assessing achievement: "${achievement}"`);
-   const { score, rationale } = await assessSkillRelevanceToNewJob(achievement, jobDescription);
+const achievements = cvBaseData.achievements || [];
+const achievementScores = await scoreRelevance(achievements, {
+   kind: 'achievements',
+   describe: (achievement) => achievement,
+   assessOne: (achievement) => {
+      console.log(`[INFO] Assessing achievement: "${achievement}"`);
+      return assessSkillRelevanceToNewJob(achievement, jobDescription);
+   },
+   jobDescription,
+   scoring,
+});
+const achievementsWithRelevance = selectItems(achievements.map((achievement, i) => {
+   const { score, rationale } = achievementScores[i];
    console.log(`[INFO] Achievement "${achievement}" scored ${score}/10. Rationale: ${rationale}`);
-   achievementsWithRelevance.push({ achievement, score, rationale });
-}
-achievementsWithRelevance.sort(byScoreDesc);
-cv.achievements = achievementsWithRelevance.slice(0, 10).map(a => a.achievement);
-console.log(`[INFO] Top 10 relevant achievements selected.`);
+   return { text: achievement, score, rationale };
+}), tailoring.achievements, 'achievement').map(({ text, ...rest }) => ({ achievement: text, ...rest }));
+cv.achievements = achievementsWithRelevance.filter((a) => a.included).map((a) => a.achievement);
+console.log(`[INFO] ${cv.achievements.length} of ${achievements.length} achievements selected.`);
 
 // Roles with relevance
 console.log(`[INFO] Assessing relevance of past job roles to the job description.`);
+const roles = cvBaseData.pastJobRoles || [];
+const roleScores = await scoreRelevance(roles, {
+   kind: 'past roles',
+   describe: describeRole,
+   assessOne: (role) => {
+      console.log(`[INFO] Assessing role: "${role.jobTitle}" (${role.from} - ${role.to || 'Present'})`);
+      return assessRoleRelevanceToNewJob(role, jobDescription);
+   },
+   jobDescription,
+   scoring,
+});
+const roleDecisions = selectRoles(roles, roleScores, tailoring.roles);
 const rolesToInclude = [];
-for (const role of cvBaseData.pastJobRoles || []) {
-   console.log(`[INFO] Assessing role: "${role.jobTitle}" (${role.from} - ${role.to || 'Present'})`);
-   const { score } = await assessRoleRelevanceToNewJob(role, jobDescription);
-   console.log(`[INFO] Role "${role.jobTitle}" scored ${score}/10.`);
-   const includeRole = { ...role };
-   if (score < 80) {
+const rolesWithRelevance = roleDecisions.map(({ role, score, rationale, effectiveScore, pinned, treatment }) => {
+   console.log(`[INFO] Role "${role.jobTitle}" scored ${score}/10${effectiveScore !== score ? ` (${effectiveScore} after recency weighting)` : ''}.`);
+   if (treatment === 'dropped') {
+      console.log(`[INFO] Role "${role.jobTitle}" is less relevant. Leaving it out.`);
+   } else if (treatment === 'shortened') {
       console.log(`[INFO] Role "${role.jobTitle}" is less relevant. Omitting description.`);
-      delete includeRole.description;
+      const { description, ...shortened } = role;
+      rolesToInclude.push(shortened);
+   } else {
+      rolesToInclude.push({ ...role });
    }
-   rolesToInclude.push(includeRole);
-}
+   return { jobTitle: role.jobTitle, from: role.from, to: role.to, score, rationale, effectiveScore, pinned, treatment };
+});
 rolesToInclude.sort(byStartDateDesc);
 cv.pastJobRoles = rolesToInclude;
 console.log(`[INFO] Relevant past job roles selected and sorted by start date.`);
 
-  const { cv_markdown } = await composeCVMarkdown(cv);
-  const polished = await polishCV(cv_markdown);
-  return polished;
+  setStage('compose');
+  let cv_markdown;
+  if (cvOptions.renderer === 'template') {
+    console.log(`[INFO] Rendering CV from template: ${cvOptions.template || 'default'}`);
+    cv_markdown = await renderCVFromTemplate(cv, {
+      dateFormat: locale.dateFormat,
+      order: locale.sections,
+      headings: locale.headings,
+      present: locale.present,
+      ...cvOptions,
+      baseDir: configDir,
+    });
+  } else {
+    ({ cv_markdown } = await composeCVMarkdown(cv));
+  }
+  setStage('polish');
+  const { cvMarkdown, approvedSuggestions, deferredSuggestions } = await polishCV(cv_markdown);
+  return {
+    cvMarkdown,
+    relevance: {
+      skills: skillsWithRelevance,
+      achievements: achievementsWithRelevance,
+      roles: rolesWithRelevance,
+    },
+    approvedSuggestions,
+    deferredSuggestions,
+  };
+}
+
+/**
+ * Exports a run's CV, covering letter (with letterhead) and any answers as HTML, DOCX or PDF,
+ * in the language and on the paper size of the job's locale.
+ * @param {string} runDir - Run folder.
+ * @param {Object} documents - `{ cv, coveringLetter, answersMarkdown, personalDetails }`; `answersMarkdown` may be null.
+ * @param {Object} options - `{ formats, theme }`; nothing is exported when `formats` is empty.
+ * @returns {Promise<void>}
+ */
+async function exportRunDocuments(runDir, { cv, coveringLetter, answersMarkdown, personalDetails }, { formats, theme }) {
+  if (!formats.length) return;
+  console.log(`[INFO] Exporting documents as ${formats.join(', ')} (theme: ${theme || 'classic'}).`);
+  const name = personalDetails?.name;
+  await exportDocuments(runDir, [
+    { name: 'cv', title: name ? `${name} — CV` : 'CV', markdown: cv },
+    {
+      name: 'covering-letter',
+      title: name ? `${name} — Covering letter` : 'Covering letter',
+      markdown: letterWithHeader(coveringLetter, personalDetails, now(), locale.lang),
+    },
+    ...(answersMarkdown ? [{ name: 'answers', title: name ? `${name} — Application answers` : 'Application answers', markdown: answersMarkdown }] : []),
+  ], { formats, theme, date: now(), lang: locale.lang, paper: locale.paper });
+  console.log(`[INFO] Documents exported.`);
 }
 
-async function runOnce({ job, cvBasePath, notesPath, jobCfg }) {
+/**
+ * Runs one full application attempt and saves every artefact to a timestamped run folder
+ * under `outDir`, e.g. `applications/<job-slug>/<iso-date>/`.
+ * @param {Object} params - Run parameters.
+ * @param {string} params.job - Job title or description.
+ * @param {string} params.cvBasePath - Path to the CV base JSON.
+ * @param {string} params.notesPath - Path to the covering letter notes.
+ * @param {Object} params.jobCfg - Job runtime config.
+ * @param {string} params.jobCfgPath - Path to the job runtime config, for validation.
+ * @param {string} params.outDir - Root folder for saved applications.
+ * @param {string} params.trackerPath - Path to the application tracker state file.
+ * @param {Object} [params.exportOptions] - `{ formats, theme }` for the HTML/DOCX/PDF export stage.
+ * @param {Object} [params.jdSource] - `{ filePath }` or `{ stdin: true }` to supply the job description
+ *   locally instead of looking it up on the web.
+ * @param {number} [params.letterVariants] - Number of covering letter variants to draft and choose from.
+ * @param {string} [params.questionsPath] - Application-form questions file; answers are drafted when set.
+ * @returns {Promise<Object>} `{ gotJob, nextRun, jobDescription, runDir }`. A run stopped by
+ *   `maxCostPerRun` returns early with the outputs it has, and reapplies as usual.
+ */
+async function runOnce({ job, cvBasePath, notesPath, jobCfg, jobCfgPath, outDir, trackerPath, exportOptions = {}, jdSource = null, letterVariants = 1, questionsPath = null }) {
   console.log(`[INFO] Starting job application process for: "${job}"`);
 
+  console.log(`[INFO] Validating input files.`);
+  const problems = await validateInputs({ cvPath: cvBasePath, jobCfgPath, notesPath, questionsPath });
+  if (problems.length) {
+    throw new Error(`Input files are invalid (run the validate command for details):\n${formatProblems(problems)}`);
+  }
+
+  const runDir = await createRunFolder(outDir, job);
+  console.log(`[INFO] Saving outputs to: ${runDir}`);
+  await updateTracker(trackerPath, (state) => {
+    const entry = jobEntry(state, job);
+    entry.attempts += 1;
+    entry.lastAttemptAt = isoNow();
+    entry.history.push({ at: entry.lastAttemptAt, event: 'attempt', runDir });
+  });
+
+  // Scheduling inputs for planNextRun; the pipeline fills in `status` once the open-check is back.
+  // The daemon waits on the real clock, so schedule from it even when a replay pins `now()`.
+  const schedule = {
+    status: null,
+    now: new Date(),
+    minDays: jobCfg.minReapplyDays || 30,
+    maxDays: jobCfg.maxReapplyDays || 90,
+    randInt,
+  };
+  startUsage({ prices: jobCfg.prices, maxCost: jobCfg.maxCostPerRun });
+  try {
+    return await runPipeline({
+      job, cvBasePath, notesPath, jobCfg, jobCfgPath, trackerPath, exportOptions, jdSource, letterVariants, questionsPath, runDir, schedule,
+    });
+  } catch (err) {
+    if (err.code !== 'BUDGET_EXCEEDED') throw err;
+    console.log(`[WARN] ${err.message}`);
+    // Stopped before the open-check: no dates are known, so this falls back to the random window.
+    const { at: nextRun, reason } = planNextRun({ ...schedule, status: schedule.status ?? { open: true }, drafted: false });
+    await updateTracker(trackerPath, (state) => {
+      const entry = jobEntry(state, job);
+      entry.history.push({ at: isoNow(), event: 'stopped', reason: 'maxCostPerRun', runDir });
+      entry.nextRun = nextRun.toISOString();
+    });
+    console.log(`[INFO] Run stopped; partial outputs are in ${runDir}. Will try again ${reason}, around ${nextRun.toISOString()}`);
+    await notify(jobCfg.notifications, { event: 'stopped', job, runDir, nextRun, message: err.message, baseDir: path.dirname(jobCfgPath) });
+    return { gotJob: false, nextRun, jobDescription: null, runDir };
+  } finally {
+    const usage = usageSummary();
+    stopUsage();
+    console.log(`\n${formatUsageSummary(usage)}\n`);
+    await saveRunFile(runDir, 'usage.json', usage);
+  }
+}
+
+/**
+ * Runs the stages of one application attempt, tagging the LLM calls of each stage for
+ * cost accounting. Takes the parameters of `runOnce` plus its run folder and scheduling
+ * inputs; the open-check result is stored in `schedule.status`, so a run stopped later by
+ * `maxCostPerRun` is still scheduled from the advert's dates.
+ * @param {Object} params - `runOnce` parameters, `runDir` and `schedule` (see `planNextRun`).
+ * @returns {Promise<Object>} `{ gotJob, nextRun, jobDescription, runDir }`.
+ */
+async function runPipeline({ job, cvBasePath, notesPath, jobCfg, jobCfgPath, trackerPath, exportOptions, jdSource, letterVariants, questionsPath, runDir, schedule }) {
   console.log(`[INFO] Reading covering letter notes from: ${notesPath}`);
   const coveringLetterThoughts = await readText(notesPath);
 
   console.log(`[INFO] Reading CV base data from: ${cvBasePath}`);
   const cvBaseData = await readJSON(cvBasePath);
 
-  console.log(`[INFO] Fetching job description for: "${job}"`);
-  const jobInfo = await fetchJobDescription(job);
-  console.log(`[INFO] Job description fetched successfully.`);
+  let jobInfo;
+  if (jdSource) {
+    console.log(`[INFO] Loading job description from: ${jdSource.stdin ? 'standard input' : jdSource.filePath}`);
+    jobInfo = await loadJobDescription({ ...jdSource, job });
+    console.log(`[INFO] Job description loaded (${jobInfo.job_description.length} characters); skipping web lookup.`);
+  } else {
+    console.log(`[INFO] Fetching job description for: "${job}"`);
+    setStage('fetch');
+    jobInfo = await fetchJobDescription(job);
+    console.log(`[INFO] Job description fetched successfully.`);
+  }
+  await saveRunFile(runDir, 'job-description.json', jobInfo);
 
   console.log(`[INFO] Checking if applications are still open for: "${job}"`);
+  setStage('open-check');
   const openStatus = await applicationStillOpen(job);
+  const checkedAt = now().toISOString();
+  await saveRunFile(runDir, 'application-status.json', { ...openStatus, checked_at_utc: checkedAt });
+  await updateTracker(trackerPath, (state) => {
+    jobEntry(state, job).checks.push({
+      at: isoNow(),
+      open: openStatus.open,
+      confidence: openStatus.confidence ?? null,
+      closingDate: openStatus.closing_date ?? null,
+      reopeningDate: openStatus.reopening_date ?? null,
+      round: openStatus.recruitment_round ?? null,
+    });
+  });
+  const dates = [
+    openStatus.recruitment_round && `round: ${openStatus.recruitment_round}`,
+    openStatus.closing_date && `closing: ${openStatus.closing_date}`,
+    openStatus.reopening_date && `reopening: ${openStatus.reopening_date}`,
+  ].filter(Boolean);
+  schedule.status = openStatus;
   if (!openStatus.open) {
     console.log(`[WARN] Applications are closed for: "${job}"`);
-    console.log(`[INFO] Checked at: ${openStatus.checked_at_utc}; Confidence: ${openStatus.confidence ?? 'n/a'}`);
-    return { gotJob: false, nextRun: null, jobDescription: jobInfo.job_description };
+    console.log(`[INFO] Checked at: ${checkedAt}; Confidence: ${openStatus.confidence ?? 'n/a'}${dates.length ? `; ${dates.join('; ')}` : ''}`);
+    const { at: nextRun, reason } = planNextRun(schedule);
+    console.log(`[INFO] Will try again ${reason}, around ${nextRun.toISOString()}`);
+    await updateTracker(trackerPath, (state) => { jobEntry(state, job).nextRun = nextRun.toISOString(); });
+    await notify(jobCfg.notifications, { event: 'closed', job, runDir, status: openStatus, nextRun, baseDir: path.dirname(jobCfgPath) });
+    return { gotJob: false, nextRun, jobDescription: jobInfo.job_description, runDir };
   }
-  console.log(`[INFO] Applications are still open.`);
+  console.log(`[INFO] Applications are still open${dates.length ? ` (${dates.join('; ')})` : ''}.`);
 
   console.log(`[INFO] Drafting CV tailored to the job description.`);
-  const cv = await draftCV(cvBaseData, jobInfo.job_description);
+  let { cvMarkdown: cv, relevance, approvedSuggestions, deferredSuggestions } = await draftCV(cvBaseData, jobInfo.job_description, jobCfg, path.dirname(jobCfgPath));
   console.log(`[INFO] CV drafted successfully.`);
+  await saveRunFile(runDir, 'cv.md', cv);
+  await saveRunFile(runDir, 'relevance.json', relevance);
+  await saveRunFile(runDir, 'approved-suggestions.json', approvedSuggestions);
 
   console.log(`[INFO] Drafting covering letter tailored to the job description.`);
-  const { covering_letter } = await draftCoveringLetter(cvBaseData, coveringLetterThoughts, jobInfo.job_description);
+  setStage('letter');
+  let letterDraft;
+  let angle = null;
+  if (letterVariants > 1) {
+    const variants = await draftLetterVariants(letterVariants, cvBaseData, coveringLetterThoughts, jobInfo.job_description);
+    let choice;
+    ({ letter: letterDraft, angle, choice } = await chooseLetterVariant(variants, jobInfo.job_description));
+    await saveRunFile(runDir, 'letter-variants.json', {
+      variants: variants.map((v) => ({ angle: v.angle.name, strategy: v.strategy, letter: v.letter })),
+      choice,
+    });
+  } else {
+    ({ covering_letter: letterDraft } = await draftCoveringLetter(cvBaseData, coveringLetterThoughts, jobInfo.job_description));
+  }
   console.log(`[INFO] Covering letter drafted successfully.`);
+  let {
+    coveringLetter: covering_letter, approvedSuggestions: approvedLetterSuggestions, deferredSuggestions: deferredLetterSuggestions, guidance,
+  } = await polishCoveringLetter(
+    letterDraft,
+    { cvBaseData, notes: coveringLetterThoughts, jobDescription: jobInfo.job_description, angle },
+  );
+  await saveRunFile(runDir, 'covering-letter.md', covering_letter);
+  await saveRunFile(runDir, 'approved-letter-suggestions.json', { guidance, suggestions: approvedLetterSuggestions });
+
+  const pending = [
+    { document: 'cv', suggestions: deferredSuggestions },
+    { document: 'covering-letter', suggestions: deferredLetterSuggestions },
+  ];
+  let answersMarkdown = null;
+  if (questionsPath) {
+    console.log(`[INFO] Answering application-form questions from: ${questionsPath}`);
+    setStage('answers');
+    const answers = await draftAnswers(await loadQuestions(questionsPath), {
+      cvBaseData, notes: coveringLetterThoughts, jobDescription: jobInfo.job_description, scoring: jobCfg.scoring,
+    });
+    answersMarkdown = formatAnswersMarkdown(answers);
+    pending.push(...answers.map((a) => ({ document: 'answer', id: a.id, suggestions: a.deferredSuggestions })));
+    await saveRunFile(runDir, 'answers.json', answers);
+    await saveRunFile(runDir, 'answers.md', answersMarkdown);
+  }
+
+  await savePending(runDir, pending);
+  const deferred = pending.reduce((n, item) => n + item.suggestions.length, 0);
+  if (deferred) console.log(`[INFO] ${deferred} suggestion(s) deferred to ${PENDING_FILE}; review them with: review "${runDir}"`);
+
+  const { enabled: factCheck = true, onUnsupported = 'ask' } = jobCfg.factCheck || {};
+  if (factCheck) {
+    setStage('fact-check');
+    // Nobody is there to answer in non-interactive mode: report unsupported claims and keep them.
+    const checkOptions = { cvBaseData, notes: coveringLetterThoughts, onUnsupported: autoApprove && onUnsupported === 'ask' ? 'keep' : onUnsupported };
+    const letterCheck = await factCheckDocument({ documentName: 'covering letter', text: covering_letter, ...checkOptions });
+    const cvCheck = await factCheckDocument({ documentName: 'CV', text: cv, ...checkOptions });
+    const report = ({ text, ...rest }) => rest;
+    await saveRunFile(runDir, 'fact-check.json', { covering_letter: report(letterCheck), cv: report(cvCheck) });
+    if (letterCheck.regenerated) {
+      covering_letter = letterCheck.text;
+      await saveRunFile(runDir, 'covering-letter.md', covering_letter);
+    }
+    if (cvCheck.regenerated) {
+      cv = cvCheck.text;
+      await saveRunFile(runDir, 'cv.md', cv);
+    }
+  }
+
+  if (jobCfg.ats?.enabled ?? true) {
+    console.log(`[INFO] Checking keyword coverage against the job description.`);
+    setStage('ats');
+    const coverage = await analyseKeywordCoverage({
+      jobDescription: jobInfo.job_description, cvMarkdown: cv, letter: covering_letter, cvBaseData,
+    });
+    console.log(`\n${formatCoverageReport(coverage)}\n`);
+    await saveRunFile(runDir, 'keyword-coverage.json', coverage);
+  }
+
+  await exportRunDocuments(runDir, { cv, coveringLetter: covering_letter, answersMarkdown, personalDetails: cvBaseData.personalDetails }, {
+    formats: exportOptions.formats ?? EXPORT_FORMATS, theme: exportOptions.theme,
+  });
 
   console.log(`
 COVERING LETTER:
@@ -682,66 +1542,440 @@ ${cv}
 ==============================
 `);
 
-  const gotJob = false; // Placeholder for human submission outcome
+  const documents = (await fs.readdir(runDir)).sort();
+  const status = await updateTracker(trackerPath, (state) => {
+    const entry = jobEntry(state, job);
+    entry.runs.push({ at: isoNow(), runDir, documents });
+    markDrafted(entry);
+    return entry.status;
+  });
+  const gotJob = status === 'offer'; // set by the user with `mark <job> offer`
 
   let nextRun = null;
   if (!gotJob) {
-    const days = randInt(jobCfg.minReapplyDays || 30, jobCfg.maxReapplyDays || 90);
-    nextRun = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
-    console.log(`[INFO] Will try again in ~${days} days, around ${nextRun.toISOString()}`);
+    let reason;
+    ({ at: nextRun, reason } = planNextRun(schedule));
+    console.log(`[INFO] Will try again ${reason}, around ${nextRun.toISOString()}`);
   }
-  return { gotJob, nextRun, jobDescription: jobInfo.job_description };
+  await updateTracker(trackerPath, (state) => { jobEntry(state, job).nextRun = nextRun ? nextRun.toISOString() : null; });
+  console.log(`[INFO] Outputs saved to: ${runDir}`);
+  await notify(jobCfg.notifications, {
+    event: 'drafted', job, runDir, status: openStatus, nextRun, pendingReview: deferred, baseDir: path.dirname(jobCfgPath),
+  });
+  return { gotJob, nextRun, jobDescription: jobInfo.job_description, runDir };
 }
 
-async function main() {
-  console.log(`[INFO] Validating environment variables.`);
-  assertEnv();
+/**
+ * Reviews the suggestions a non-interactive run deferred, document by document, with the
+ * usual review commands and hunk-by-hunk diff. Each reviewed document is saved back to the
+ * run folder with its approved suggestions, and leaves the pending-review file; if anything
+ * changed, the run's exported formats are rebuilt.
+ * @param {string} runDir - Run folder.
+ * @param {Object} params - `{ personalDetails, theme }` for rebuilding the exports.
+ * @returns {Promise<void>}
+ */
+async function reviewPendingSuggestions(runDir, { personalDetails, theme }) {
+  const pending = await loadPending(runDir);
+  if (!pending.length) {
+    console.log(`[INFO] Nothing to review in ${runDir}.`);
+    return;
+  }
+
+  let changed = false;
+  while (pending.length) {
+    const item = pending[0];
+    if (item.document === 'cv') {
+      const cvMarkdown = await readText(path.join(runDir, 'cv.md'));
+      printPreview('your CV', cvMarkdown);
+      const applyEdits = async (list) => (await applyCVEdits(cvMarkdown, list)).cv_markdown;
+      const { approved, applied } = await reviewSuggestionsInteractively(item.suggestions, { types: TYPE_OPTIONS, document: cvMarkdown, applyEdits });
+      if (approved.length) {
+        await saveRunFile(runDir, 'cv.md', await reviewEditDiff(cvMarkdown, applied ?? (await applyEdits(approved)), approved));
+        const approvedBefore = await readJSON(path.join(runDir, 'approved-suggestions.json')).catch(() => []);
+        await saveRunFile(runDir, 'approved-suggestions.json', [...approvedBefore, ...approved]);
+        changed = true;
+      }
+    } else if (item.document === 'covering-letter') {
+      const letter = await readText(path.join(runDir, 'covering-letter.md'));
+      printPreview('your covering letter', letter);
+      const applyEdits = async (list) => (await applyLetterEdits(letter, list)).covering_letter;
+      const { approved, applied } = await reviewSuggestionsInteractively(item.suggestions, { types: LETTER_SUGGESTION_TYPES, document: letter, applyEdits });
+      if (approved.length) {
+        await saveRunFile(runDir, 'covering-letter.md', await reviewEditDiff(letter, applied ?? (await applyEdits(approved)), approved));
+        const before = await readJSON(path.join(runDir, 'approved-letter-suggestions.json')).catch(() => ({ guidance: [], suggestions: [] }));
+        await saveRunFile(runDir, 'approved-letter-suggestions.json', { ...before, suggestions: [...before.suggestions, ...approved] });
+        changed = true;
+      }
+    } else {
+      const answers = await readJSON(path.join(runDir, 'answers.json'));
+      const entry = answers.find((a) => a.id === item.id);
+      if (entry) {
+        printPreview(`your answer (${entry.words}/${entry.wordLimit} words)`, `**${entry.question}**\n\n${entry.answer}`);
+        const applyEdits = (list) => applyAnswerEdits(entry.answer, list);
+        const { approved, applied } = await reviewSuggestionsInteractively(item.suggestions, { types: ANSWER_SUGGESTION_TYPES, document: entry.answer, applyEdits });
+        if (approved.length) {
+          const edited = await reviewEditDiff(entry.answer, applied ?? (await applyEdits(approved)), approved);
+          entry.answer = await enforceWordLimit(edited, entry);
+          entry.words = countWords(entry.answer);
+          entry.approvedSuggestions = [...entry.approvedSuggestions, ...approved];
+          changed = true;
+        }
+        entry.deferredSuggestions = [];
+        await saveRunFile(runDir, 'answers.json', answers);
+        await saveRunFile(runDir, 'answers.md', formatAnswersMarkdown(answers));
+      } else {
+        console.log(`[WARN] Answer "${item.id}" is not in answers.json; dropping its suggestions.`);
+      }
+    }
+    pending.shift();
+    await savePending(runDir, pending);
+  }
+  console.log(`[INFO] All deferred suggestions reviewed.`);
+
+  const files = await fs.readdir(runDir);
+  const formats = EXPORT_FORMATS.filter((f) => files.includes(`cv.${f}`));
+  if (changed && formats.length) {
+    await exportRunDocuments(runDir, {
+      cv: await readText(path.join(runDir, 'cv.md')),
+      coveringLetter: await readText(path.join(runDir, 'covering-letter.md')),
+      answersMarkdown: files.includes('answers.md') ? await readText(path.join(runDir, 'answers.md')) : null,
+      personalDetails,
+    }, { formats, theme });
+  }
+}
+
+// ————————————————————————————————————————————————
+// Importing and exporting cv.base.json
+// ————————————————————————————————————————————————
+const IMPORT_FORMATS = ['json-resume', 'linkedin'];
+
+/**
+ * Imports a JSON Resume file or a LinkedIn data export into cv.base.json. Nothing is
+ * overwritten: new entries and missing fields are added, and values that differ are kept
+ * and reported as conflicts.
+ * @param {string} source - JSON Resume file, or LinkedIn export ZIP or folder.
+ * @param {Object} options - Import options.
+ * @param {string} [options.from] - One of IMPORT_FORMATS; by default a `.json` source is
+ *   JSON Resume and anything else a LinkedIn export.
+ * @param {string} options.cvPath - cv.base.json to merge into; created if missing.
+ * @param {boolean} [options.dryRun] - Report what would change without writing.
+ * @returns {Promise<void>}
+ */
+async function importCVData(source, { from, cvPath, dryRun = false }) {
+  const format = from ?? (/\.json$/i.test(source) ? 'json-resume' : 'linkedin');
+  let incoming;
+  if (format === 'json-resume') {
+    console.log(`[INFO] Importing JSON Resume: ${source}`);
+    incoming = fromJSONResume(await readJSON(source));
+  } else {
+    console.log(`[INFO] Importing LinkedIn data export: ${source}`);
+    const { cv, files } = await readLinkedInExport(source);
+    console.log(`[INFO] Read ${files.join(', ')}.`);
+    incoming = cv;
+  }
+
+  const existing = await readJSON(cvPath).catch((err) => {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  });
+  const { cv, added, conflicts } = mergeCVData(existing, incoming);
+  if (added.length) {
+    console.log(`[INFO] ${added.length} addition(s):\n${added.map((a) => `  ${a.section}: ${a.item}${a.field ? ` (${a.field})` : ''}`).join('\n')}`);
+  } else {
+    console.log(`[INFO] Nothing new to add.`);
+  }
+  if (conflicts.length) {
+    console.log(`[WARN] ${conflicts.length} conflict(s); the existing values were kept. Edit ${cvPath} to take the imported ones:\n${formatConflicts(conflicts)}`);
+  }
+  const problems = validateCVBase(cv).map((p) => ({ file: cvPath, ...p }));
+  if (problems.length) {
+    console.log(`[WARN] Fix these before a run:\n${formatProblems(problems)}`);
+  }
+
+  if (dryRun) {
+    console.log(`[INFO] Dry run: ${cvPath} not changed.`);
+  } else if (added.length) {
+    await fs.writeFile(cvPath, JSON.stringify(cv, null, 2) + '\n', 'utf8');
+    console.log(`[INFO] Saved ${cvPath}.`);
+  }
+}
+
+/**
+ * Writes cv.base.json as a JSON Resume document.
+ * @param {string} cvPath - Path to cv.base.json.
+ * @param {string} dest - Path of the JSON Resume file to write.
+ * @returns {Promise<void>}
+ */
+async function exportCVData(cvPath, dest) {
+  const resume = toJSONResume(await readJSON(cvPath));
+  await fs.writeFile(dest, JSON.stringify(resume, null, 2) + '\n', 'utf8');
+  console.log(`[INFO] Wrote ${cvPath} as JSON Resume to ${dest}.`);
+}
+
+/**
+ * Finds the application-form questions file: `--questions`, else `questionsPath` in the job
+ * config (relative to the config file).
+ * @param {Object} argv - Parsed command-line arguments.
+ * @param {Object} jobCfg - Job runtime config.
+ * @returns {string|null} Path, or null when there are no questions.
+ */
+function resolveQuestionsPath(argv, jobCfg) {
+  if (argv.questions) return argv.questions;
+  if (jobCfg.questionsPath) return path.resolve(path.dirname(argv.jobcfg), jobCfg.questionsPath);
+  return null;
+}
+
+/**
+ * Finds the folder of prompt overrides for a job: `promptsDir` in the job config, else
+ * `prompts/`, relative to the config file.
+ * @param {Object} argv - Parsed command-line arguments.
+ * @param {Object} jobCfg - Job runtime config.
+ * @returns {string} Absolute path (the folder need not exist).
+ */
+function resolvePromptsDir(argv, jobCfg) {
+  return path.resolve(path.dirname(argv.jobcfg), jobCfg.promptsDir ?? 'prompts');
+}
 
+/**
+ * Prints the prompts as a job sees them: `list` names each one and whether the job overrides
+ * it; `show` prints one prompt's instructions, variables and template.
+ * @param {string} action - `list` or `show`.
+ * @param {string} [name] - Prompt to show.
+ * @returns {Promise<void>}
+ */
+async function printPrompts(action, name) {
+  if (action === 'list') {
+    const prompts = await listPrompts();
+    const width = Math.max(...prompts.map((p) => p.name.length));
+    for (const p of prompts) {
+      console.log(`${p.name.padEnd(width)}  ${p.overridden ? 'override' : 'built-in'}  ${p.description}`);
+    }
+    const overridden = prompts.filter((p) => p.overridden);
+    if (overridden.length) console.log(`\nOverrides: ${overridden.map((p) => p.path).join(', ')}`);
+    return;
+  }
+  if (!name) throw new Error('Name the prompt to show, e.g. `prompts show draft-letter` (see `prompts list`).');
+  const prompt = await loadPrompt(name);
+  console.log(`# ${prompt.name} (${prompt.overridden ? 'override' : 'built-in'}: ${prompt.path})`);
+  if (prompt.description) console.log(prompt.description);
+  if (prompt.instructions) console.log(`\nInstructions: ${prompt.instructions}`);
+  if (prompt.system) console.log(`\nSystem message: ${prompt.system}`);
+  console.log(`\nVariables: ${promptVariables(prompt.template).join(', ') || '(none)'}`);
+  console.log(`\n${prompt.template.trim()}`);
+}
+
+async function main() {
   console.log(`[INFO] Parsing command-line arguments.`);
   const argv = yargs(hideBin(process.argv))
+    .command('$0', 'Draft a tailored CV and covering letter for the job')
+    .command('validate', 'Check the CV base file, job config and notes file without calling the LLM')
+    .command('status', 'Show every tracked application with its status, attempts and next run')
+    .command('mark <job> <state>', 'Record the outcome of an application', (y) => y
+      .positional('job', { type: 'string', desc: 'Job title, slug or unique part of the title' })
+      .positional('state', { type: 'string', choices: STATUSES, desc: 'New status' }))
+    .command('review <run>', 'Review the suggestions a non-interactive run deferred', (y) => y
+      .positional('run', { type: 'string', desc: 'Run folder, or a job (title, slug or unique part) to review its latest run' }))
+    .command('import <source>', 'Merge a JSON Resume file or a LinkedIn data export into the CV base file', (y) => y
+      .positional('source', { type: 'string', desc: 'JSON Resume file, or LinkedIn export ZIP or folder' })
+      .option('from', { type: 'string', choices: IMPORT_FORMATS, desc: 'Source format (default: json-resume for .json files, else linkedin)' })
+      .option('dry-run', { type: 'boolean', default: false, desc: 'Report additions and conflicts without saving' }))
+    .command('export <file>', 'Write the CV base file as a JSON Resume document', (y) => y
+      .positional('file', { type: 'string', desc: 'JSON Resume file to write' }))
+    .command('prompts <action> [name]', "List the LLM prompts, or show one, as the job config's overrides leave them", (y) => y
+      .positional('action', { type: 'string', choices: ['list', 'show'], desc: 'list, or show one prompt' })
+      .positional('name', { type: 'string', desc: 'Prompt to show' }))
+    .strict()
     .option('job', { type: 'string', desc: 'Job title / description to target' })
     .option('cv', { type: 'string', default: path.join(__dirname, '..', 'config', 'cv.base.json'), desc: 'Path to CV base JSON' })
     .option('notes', { type: 'string', default: path.join(__dirname, '..', 'config', 'covering-letter-notes.example.md'), desc: 'Path to covering letter notes (markdown/text)' })
     .option('jobcfg', { type: 'string', default: path.join(__dirname, '..', 'config', 'job.config.json'), desc: 'Path to job runtime config' })
+    .option('out', { type: 'string', default: path.join(__dirname, '..', 'applications'), desc: 'Root folder for saved application outputs' })
+    .option('tracker', { type: 'string', desc: 'Path to the application tracker state file (default: <out>/tracker.json)' })
+    .option('jd-file', { type: 'string', desc: 'Read the job description from a .txt, .md, .html or .pdf file instead of searching the web' })
+    .option('jd-stdin', { type: 'boolean', desc: 'Read the job description from standard input instead of searching the web' })
+    .conflicts('jd-file', 'jd-stdin')
+    .option('letter-variants', { type: 'number', default: 1, desc: `Draft several covering letters with different angles (up to ${LETTER_ANGLES.length}) and pick or merge` })
+    .option('questions', { type: 'string', desc: 'Application-form questions file (JSON) to draft word-limited answers for' })
+    .option('theme', { type: 'string', desc: 'Theme for exported documents (classic, modern, minimal)' })
+    .option('formats', { type: 'array', desc: `Export formats (${EXPORT_FORMATS.join(', ')}); pass --formats with no values to skip export` })
+    .option('provider', { type: 'string', choices: Object.keys(PROVIDERS), desc: 'LLM provider (default: LLM_PROVIDER or openai)' })
+    .option('model', { type: 'string', desc: 'Model name (default: LLM_MODEL, OPENAI_MODEL or gpt-4o-mini)' })
+    .option('max-retries', { type: 'number', desc: 'Retries per LLM call after an API error or a rejected output (default: LLM_MAX_RETRIES or 3)' })
+    .option('cache', { type: 'string', choices: CACHE_MODES.filter((m) => m !== 'replay'), desc: 'LLM response cache mode (default: LLM_CACHE or off)' })
+    .option('cache-dir', { type: 'string', default: path.join(__dirname, '..', '.cache', 'llm'), desc: 'Folder for cached LLM responses' })
+    .option('record', { type: 'boolean', desc: 'Call the LLM and record every response (same as --cache=write)' })
+    .option('replay', { type: 'boolean', desc: 'Answer every LLM call from a recording; fail on anything not recorded' })
+    .conflicts('record', 'replay')
+    .option('non-interactive', { type: 'boolean', desc: 'Settle suggestions by the autoApprove policy instead of asking (default when stdin is not a terminal)' })
     .option('once', { type: 'boolean', default: false, desc: 'Run once and exit' })
     .option('daemon', { type: 'boolean', default: false, desc: 'Run continuously with waits between attempts' })
     .help()
     .parse();
+  const [command] = argv._;
+  const trackerPath = argv.tracker || path.join(argv.out, 'tracker.json');
+
+  if (command === 'status') {
+    console.log(formatStatusTable(await loadTracker(trackerPath)));
+    return;
+  }
+
+  if (command === 'mark') {
+    const entry = await updateTracker(trackerPath, (state) => {
+      const e = findJob(state, argv.job);
+      setStatus(e, argv.state);
+      return e;
+    });
+    console.log(`[INFO] "${entry.job}" marked as ${entry.status}.`);
+    return;
+  }
+
+  if (command === 'import') {
+    await importCVData(argv.source, { from: argv.from, cvPath: argv.cv, dryRun: argv.dryRun });
+    return;
+  }
+
+  if (command === 'export') {
+    await exportCVData(argv.cv, argv.file);
+    return;
+  }
+
+  if (command === 'prompts') {
+    setPromptOverrides(resolvePromptsDir(argv, await readJSON(argv.jobcfg).catch(() => ({}))));
+    await printPrompts(argv.action, argv.name);
+    return;
+  }
+
+  if (command === 'validate') {
+    const questionsPath = resolveQuestionsPath(argv, await readJSON(argv.jobcfg).catch(() => ({})));
+    console.log(`[INFO] Validating ${[argv.cv, argv.jobcfg, argv.notes, questionsPath].filter(Boolean).join(', ')}`);
+    const problems = await validateInputs({ cvPath: argv.cv, jobCfgPath: argv.jobcfg, notesPath: argv.notes, questionsPath });
+    if (problems.length) {
+      console.log(`[ERROR] Found ${problems.length} problem(s):\n${formatProblems(problems)}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`[INFO] All input files are valid.`);
+    }
+    return;
+  }
+
+  let cacheMode = argv.cache || process.env.LLM_CACHE || 'off';
+  if (argv.record) cacheMode = 'write';
+  if (argv.replay) cacheMode = 'replay';
+  const cache = createLLMCache({ dir: argv.cacheDir, mode: cacheMode });
+  if (cache) console.log(`[INFO] LLM cache: ${cacheMode} (${argv.cacheDir})`);
+
+  if (argv.record) {
+    // Pin the clock for the whole run so a replay sees exactly the same dates.
+    const startedAt = now();
+    await writeSession(argv.cacheDir, startedAt);
+    pinClock(startedAt);
+  }
+  if (argv.replay) {
+    const session = await readSession(argv.cacheDir);
+    if (session) {
+      pinClock(session.recordedAt);
+      console.log(`[INFO] Replaying recording from ${session.recordedAt}`);
+    } else {
+      console.log(`[WARN] No recording session found in ${argv.cacheDir}; using the current date.`);
+    }
+  }
+
+  if (argv.maxRetries !== undefined && (!Number.isInteger(argv.maxRetries) || argv.maxRetries < 0)) {
+    throw new Error('--max-retries must be a whole number, 0 or more.');
+  }
+  console.log(`[INFO] Configuring LLM provider.`);
+  const llm = configureLLM({ provider: argv.provider, model: argv.model, cache, maxRetries: argv.maxRetries });
+  console.log(`[INFO] Using provider: ${llm.name}`);
+
+  if (command === 'review') {
+    const jobCfg = await readJSON(argv.jobcfg).catch(() => ({}));
+    locale = resolveLocale(jobCfg.locale);
+    setPromptOverrides(resolvePromptsDir(argv, jobCfg));
+    const isDir = await fs.stat(argv.run).then((st) => st.isDirectory(), () => false);
+    let runDir = path.resolve(argv.run);
+    if (!isDir) {
+      const entry = findJob(await loadTracker(trackerPath), argv.run);
+      if (!entry.runs.length) throw new Error(`"${entry.job}" has no completed runs to review.`);
+      runDir = entry.runs.at(-1).runDir;
+    }
+    console.log(`[INFO] Reviewing deferred suggestions in: ${runDir}`);
+    const cvBaseData = await readJSON(argv.cv).catch(() => ({}));
+    await reviewPendingSuggestions(runDir, { personalDetails: cvBaseData.personalDetails, theme: argv.theme ?? jobCfg.export?.theme });
+    return;
+  }
 
   console.log(`[INFO] Reading job configuration from: ${argv.jobcfg}`);
   const jobCfg = await readJSON(argv.jobcfg);
+  locale = resolveLocale(jobCfg.locale);
+  if (jobCfg.locale) console.log(`[INFO] Locale: ${locale.name} (${locale.market} ${locale.document}, ${locale.language}).`);
+  setPromptOverrides(resolvePromptsDir(argv, jobCfg));
+  const overridden = (await listPrompts()).filter((p) => p.overridden);
+  if (overridden.length) console.log(`[INFO] Prompt overrides: ${overridden.map((p) => p.name).join(', ')}.`);
+
+  if (argv.nonInteractive ?? !process.stdin.isTTY) {
+    autoApprove = resolveAutoApprove(jobCfg.autoApprove);
+    console.log(`[INFO] Non-interactive mode: suggestions are applied, deferred or discarded by the autoApprove policy.`);
+  }
 
   const job = argv.job || jobCfg.job;
   if (!job) throw new Error('[ERROR] No job specified. Provide --job or set in config/job.config.json');
 
-  let attempt = 0;
-  const maxAttempts = jobCfg.maxAttempts ?? 3;
+  const exportOptions = {
+    formats: argv.formats ?? jobCfg.export?.formats,
+    theme: argv.theme ?? jobCfg.export?.theme,
+  };
+  // Fail fast, before any LLM calls.
+  resolveTheme(exportOptions.theme);
+  resolveFormats(exportOptions.formats);
+
+  let jdSource = null;
+  if (argv.jdStdin) jdSource = { stdin: true };
+  else if (argv.jdFile) jdSource = { filePath: argv.jdFile };
+  else if (jobCfg.jobDescriptionPath) jdSource = { filePath: path.resolve(path.dirname(argv.jobcfg), jobCfg.jobDescriptionPath) };
+
+  const letterVariants = argv.letterVariants;
+  if (!Number.isInteger(letterVariants) || letterVariants < 1 || letterVariants > LETTER_ANGLES.length) {
+    throw new Error(`--letter-variants must be a whole number from 1 to ${LETTER_ANGLES.length}.`);
+  }
 
-  const loop = async () => {
-    attempt += 1;
-    console.log(`
-—— Attempt ${attempt} at ${isoNow()} ——`);
-    const res = await runOnce({ job, cvBasePath: argv.cv, notesPath: argv.notes, jobCfg });
-    if (res.gotJob) {
-      console.log(`[SUCCESS] Job secured. Exiting.`);
-      process.exit(0);
-    }
-    if (attempt >= maxAttempts || argv.once || !argv.daemon) {
-      console.log(`[INFO] Exiting. (Either run once, attempts exhausted, or daemon not enabled.)`);
-      process.exit(0);
-    }
-    const waitMs = res.nextRun ? res.nextRun.getTime() - Date.now() : 45 * 24 * 3600 * 1000;
-    const safeMs = Math.max(waitMs, 1000);
-    console.log(`[INFO] Sleeping for ${Math.round(safeMs / 1000)} seconds…`);
-    setTimeout(loop, safeMs);
+  const maxAttempts = jobCfg.maxAttempts ?? 3;
+  const runArgs = {
+    job, cvBasePath: argv.cv, notesPath: argv.notes, jobCfg, jobCfgPath: argv.jobcfg, outDir: argv.out, trackerPath, exportOptions, jdSource,
+    letterVariants, questionsPath: resolveQuestionsPath(argv, jobCfg),
   };
 
-  if (argv.daemon || jobCfg.daemon) {
-    console.log(`[INFO] Running in daemon mode.`);
-    await loop();
+  if ((argv.daemon || jobCfg.daemon) && !argv.once) {
+    console.log(`[INFO] Running in daemon mode (state: ${trackerPath}).`);
+    let announcedWake = null;
+    for (;;) {
+      // Re-read the tracker every time round, so restarts resume the schedule and
+      // `mark` commands issued while we sleep take effect.
+      const entry = jobEntry(await loadTracker(trackerPath), job);
+      if (entry.status === 'offer') {
+        console.log(`[SUCCESS] Offer recorded for "${job}". Exiting.`);
+        return;
+      }
+      if (entry.attempts >= maxAttempts) {
+        console.log(`[INFO] Exiting. All ${maxAttempts} attempts used (see the status command).`);
+        return;
+      }
+      const waitMs = entry.nextRun ? new Date(entry.nextRun).getTime() - Date.now() : 0;
+      if (waitMs > 0) {
+        if (announcedWake !== entry.nextRun) {
+          console.log(`[INFO] Sleeping until ${entry.nextRun}…`);
+          announcedWake = entry.nextRun;
+        }
+        // Sleep in short steps: long timers overflow (~24.8 days max) and miss state changes.
+        await new Promise((resolve) => setTimeout(resolve, Math.min(waitMs, MAX_SLEEP_MS)));
+        continue;
+      }
+      console.log(`
+—— Attempt ${entry.attempts + 1} of ${maxAttempts} at ${isoNow()} ——`);
+      await runOnce(runArgs);
+    }
   } else {
     console.log(`[INFO] Running once.`);
-    await runOnce({ job, cvBasePath: argv.cv, notesPath: argv.notes, jobCfg });
+    await runOnce(runArgs);
   }
 }
 
@@ -0,0 +1,145 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import nodemailer from 'nodemailer';
+import { slugify } from './runs.js';
+
+// ————————————————————————————————————————————————
+// Notifications: tell someone when an unattended run has news
+// ————————————————————————————————————————————————
+/** Events a run can report: a new draft, a closed advert, or a run stopped by its budget. */
+export const NOTIFY_EVENTS = ['drafted', 'closed', 'stopped'];
+
+const DOCUMENT_FILE = /^(cv|covering-letter|answers)\.(pdf|docx|html|md)$/;
+const ATTACH_PREFERENCE = ['pdf', 'docx', 'html', 'md'];
+const WEBHOOK_TIMEOUT_MS = 15_000;
+
+const SUBJECTS = {
+  drafted: (job) => `New draft ready: ${job}`,
+  closed: (job) => `Applications closed: ${job}`,
+  stopped: (job) => `Run stopped (cost limit): ${job}`,
+};
+
+/**
+ * Lists the final documents in a run folder (CV, covering letter and answers, in every format).
+ * @param {string} runDir - Run folder.
+ * @returns {Promise<Array<Object>>} `{ name, format, path, url }` per file.
+ */
+async function listDocuments(runDir) {
+  const files = await fs.readdir(runDir).catch(() => []);
+  return files
+    .map((f) => f.match(DOCUMENT_FILE))
+    .filter(Boolean)
+    .map(([file, name, format]) => {
+      const p = path.join(runDir, file);
+      return { name, format, path: p, url: pathToFileURL(p).href };
+    });
+}
+
+/**
+ * Formats a notification as plain text, for email bodies.
+ * @param {Object} n - Notification payload.
+ * @returns {string} Message text.
+ */
+function formatText(n) {
+  const lines = [SUBJECTS[n.event](n.job), ''];
+  if (n.status) {
+    lines.push(`Applications open: ${n.status.open ? 'yes' : 'no'} (confidence ${n.status.confidence ?? 'n/a'})`);
+    if (n.status.round) lines.push(`Recruitment round: ${n.status.round}`);
+    if (n.status.closingDate) lines.push(`Closing date: ${n.status.closingDate}`);
+    if (n.status.reopeningDate) lines.push(`Reopening date: ${n.status.reopeningDate}`);
+  }
+  if (n.message) lines.push(n.message);
+  if (n.pendingReview) lines.push(`Suggestions waiting for review: ${n.pendingReview}`);
+  lines.push(`Run folder: ${n.runDir}`);
+  if (n.nextRun) lines.push(`Next attempt: ${n.nextRun}`);
+  if (n.documents.length) lines.push('', 'Documents:', ...n.documents.map((d) => `  ${d.path}`));
+  return lines.join('\n') + '\n';
+}
+
+async function sendEmail(target, n) {
+  const transport = nodemailer.createTransport({
+    host: target.host,
+    port: target.port ?? 587,
+    secure: target.secure ?? false,
+    ...(target.user ? { auth: { user: target.user, pass: process.env.SMTP_PASSWORD } } : {}),
+  });
+  const attachments = target.attach === false ? [] : ['cv', 'covering-letter', 'answers']
+    .map((name) => ATTACH_PREFERENCE
+      .map((format) => n.documents.find((d) => d.name === name && d.format === format))
+      .find(Boolean))
+    .filter(Boolean)
+    .map((d) => ({ filename: path.basename(d.path), path: d.path }));
+  await transport.sendMail({
+    from: target.from,
+    to: target.to,
+    subject: `[auto-apply] ${SUBJECTS[n.event](n.job)}`,
+    text: formatText(n),
+    attachments,
+  });
+}
+
+async function postWebhook(target, n) {
+  const res = await fetch(target.url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...target.headers },
+    body: JSON.stringify(n),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+}
+
+async function dropInInbox(target, n, baseDir) {
+  const dir = path.resolve(baseDir, target.dir);
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${n.at.replace(/[:.]/g, '-')}-${n.event}-${slugify(n.job)}.json`);
+  await fs.writeFile(file, JSON.stringify(n, null, 2) + '\n', 'utf8');
+}
+
+const SENDERS = { smtp: sendEmail, webhook: postWebhook, inbox: dropInInbox };
+
+/**
+ * Sends a notification to every target configured for the event. A failing target is
+ * reported with a warning and never stops the run.
+ * @param {Object} [config] - `notifications` from job.config.json: `{ events, targets }`.
+ * @param {Object} params - What happened.
+ * @param {string} params.event - One of NOTIFY_EVENTS.
+ * @param {string} params.job - Job title.
+ * @param {string} params.runDir - Run folder; its documents are attached or linked.
+ * @param {Object} [params.status] - Open-check result: verdict, confidence, dates and round.
+ * @param {Date} [params.nextRun] - When the next attempt is due.
+ * @param {number} [params.pendingReview] - Suggestions deferred for review.
+ * @param {string} [params.message] - Extra detail, e.g. why the run stopped.
+ * @param {string} [params.baseDir] - Folder that relative inbox paths are resolved against.
+ * @returns {Promise<void>}
+ */
+export async function notify(config, { event, job, runDir, status = null, nextRun = null, pendingReview = 0, message = null, baseDir = process.cwd() }) {
+  const targets = config?.targets || [];
+  if (!targets.length || !(config.events || NOTIFY_EVENTS).includes(event)) return;
+
+  const n = {
+    event,
+    job,
+    at: new Date().toISOString(),
+    status: status
+      ? {
+        open: status.open,
+        confidence: status.confidence ?? null,
+        closingDate: status.closing_date ?? null,
+        reopeningDate: status.reopening_date ?? null,
+        round: status.recruitment_round ?? null,
+      }
+      : null,
+    runDir,
+    documents: await listDocuments(runDir),
+    nextRun: nextRun ? nextRun.toISOString() : null,
+    pendingReview,
+    message,
+  };
+  const results = await Promise.allSettled(targets.map((t) => SENDERS[t.type](t, n, baseDir)));
+  results.forEach((r, i) => {
+    const label = `${targets[i].type} ${targets[i].url || targets[i].host || targets[i].dir || ''}`.trim();
+    if (r.status === 'rejected') console.log(`[WARN] Notification (${label}) failed: ${r.reason.message}`);
+    else console.log(`[INFO] Notification sent (${label}): ${event}.`);
+  });
+}
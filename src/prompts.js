@@ -0,0 +1,125 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { renderTemplate, stripStandaloneTags } from './template.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PROMPT_DIR = path.join(__dirname, '..', 'prompts');
+
+// ————————————————————————————————————————————————
+// Prompt templates: built in under prompts/, overridable per job
+// ————————————————————————————————————————————————
+// Each prompt is `prompts/<name>.md`: optional front matter (`description`, `instructions`,
+// `system`), then the user message as a Mustache-style template (see template.js).
+// A file of the same name in the job's override folder replaces the message; front matter
+// it leaves out is taken from the built-in prompt.
+
+let overrideDir = null;
+
+/**
+ * Sets the folder that per-job prompt overrides are read from.
+ * @param {string|null} dir - Override folder (usually `prompts/` next to the job config), or null for none.
+ */
+export function setPromptOverrides(dir) {
+  overrideDir = dir;
+}
+
+/**
+ * Splits a prompt file into its front matter and template.
+ * @param {string} source - File contents.
+ * @returns {Object} `{ meta, template }`, where `meta` holds the `key: value` lines.
+ */
+function parsePromptFile(source) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(source);
+  if (!m) return { meta: {}, template: source };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^(\w+):\s*(.*)$/.exec(line);
+    if (kv) meta[kv[1]] = kv[2].trim();
+  }
+  return { meta, template: source.slice(m[0].length) };
+}
+
+async function readIfExists(p) {
+  try {
+    return await fs.readFile(p, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Names of the built-in prompts.
+ * @returns {Promise<Array<string>>} Prompt names, sorted.
+ */
+async function builtInNames() {
+  return (await fs.readdir(PROMPT_DIR)).filter((f) => f.endsWith('.md')).map((f) => f.slice(0, -3)).sort();
+}
+
+/**
+ * Loads a prompt, taking the job's override when there is one.
+ * @param {string} name - Prompt name, e.g. `assess-skill`.
+ * @returns {Promise<Object>} `{ name, path, overridden, description, instructions, system, template }`.
+ * @throws {Error} If there is no built-in prompt of that name.
+ */
+export async function loadPrompt(name) {
+  const builtInPath = path.join(PROMPT_DIR, `${name}.md`);
+  const builtIn = /^[\w-]+$/.test(name) ? await readIfExists(builtInPath) : null;
+  if (builtIn === null) {
+    throw new Error(`Unknown prompt "${name}". Available prompts: ${(await builtInNames()).join(', ')}`);
+  }
+  const base = parsePromptFile(builtIn);
+  const overridePath = overrideDir ? path.join(overrideDir, `${name}.md`) : null;
+  const override = overridePath ? await readIfExists(overridePath) : null;
+  const own = override === null ? base : parsePromptFile(override);
+  const meta = { ...base.meta, ...own.meta };
+  return {
+    name,
+    path: override === null ? builtInPath : overridePath,
+    overridden: override !== null,
+    description: meta.description ?? '',
+    instructions: meta.instructions || undefined,
+    system: meta.system || undefined,
+    template: own.template,
+  };
+}
+
+/**
+ * Lists every prompt with where it is read from for the current job.
+ * @returns {Promise<Array<Object>>} `{ name, description, path, overridden }` per prompt.
+ */
+export async function listPrompts() {
+  return Promise.all((await builtInNames()).map(async (name) => {
+    const { description, path: p, overridden } = await loadPrompt(name);
+    return { name, description, path: p, overridden };
+  }));
+}
+
+/**
+ * Names the variables a prompt template uses, for `prompts show`.
+ * @param {string} template - Template source.
+ * @returns {Array<string>} Top-level variable names, in order of first use.
+ */
+export function promptVariables(template) {
+  const names = [...template.matchAll(/{{\s*[#^/]?\s*([\w.]+)\s*}}/g)].map((m) => m[1].split('.')[0]);
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Renders a prompt into the `input` and `instructions` of an LLM call.
+ * @param {string} name - Prompt name.
+ * @param {Object} view - Values for the template's variables.
+ * @returns {Promise<Object>} `{ input, instructions }` for `sendToLLM`.
+ */
+export async function buildPrompt(name, view) {
+  const prompt = await loadPrompt(name);
+  const content = renderTemplate(stripStandaloneTags(prompt.template), [view]).trim();
+  return {
+    input: [
+      ...(prompt.system ? [{ role: 'system', content: prompt.system }] : []),
+      { role: 'user', content },
+    ],
+    instructions: prompt.instructions,
+  };
+}
@@ -0,0 +1,104 @@
+import OpenAI from 'openai';
+
+const STRUCTURED_MODES = ['auto', 'json_schema', 'json_object'];
+
+/**
+ * Normalises Responses-style input (a string or an array of `{ role, content }`)
+ * into Chat Completions messages, with the instructions as a leading system message.
+ * @param {string} [instructions] - System-level instructions.
+ * @param {string|Array<Object>} input - Prompt input.
+ * @returns {Array<Object>} Chat messages.
+ */
+function toMessages(instructions, input) {
+  const messages = [];
+  if (instructions) messages.push({ role: 'system', content: instructions });
+  if (typeof input === 'string') messages.push({ role: 'user', content: input });
+  else messages.push(...input.map(({ role, content }) => ({ role, content })));
+  return messages;
+}
+
+/**
+ * Removes a Markdown code fence that some local models wrap around JSON output.
+ * @param {string} s - Raw model output.
+ * @returns {string} Output without the fence.
+ */
+function stripFence(s) {
+  const m = s.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return m ? m[1] : s;
+}
+
+/**
+ * Chat Completions provider for any OpenAI-compatible endpoint, such as a local
+ * llama.cpp or Ollama server. Structured output uses `response_format: json_schema`;
+ * in `auto` mode a server that rejects it is retried once with JSON mode and the
+ * schema spelled out in the prompt, and JSON mode is used from then on.
+ * Web search is not available.
+ * @param {Object} [options] - Provider options.
+ * @param {string} [options.baseURL] - Endpoint base URL, e.g. `http://localhost:11434/v1`.
+ * @param {string} [options.apiKey] - API key; local servers usually ignore it.
+ * @param {string} [options.structured] - `auto`, `json_schema` or `json_object`.
+ * @returns {Object} Provider implementing `complete()`.
+ * @throws {Error} If the base URL is missing or the structured mode is unknown.
+ */
+export function createChatCompletionsProvider({
+  baseURL = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+  structured = process.env.LLM_STRUCTURED_OUTPUT || 'auto',
+} = {}) {
+  if (!baseURL) {
+    throw new Error('LLM_BASE_URL is not set. Point it at an OpenAI-compatible endpoint, e.g. http://localhost:11434/v1');
+  }
+  if (!STRUCTURED_MODES.includes(structured)) {
+    throw new Error(`LLM_STRUCTURED_OUTPUT must be one of: ${STRUCTURED_MODES.join(', ')}`);
+  }
+  // sendToLLM retries with backoff itself; SDK retries would multiply its attempts.
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  let mode = structured;
+
+  const request = async (options) => {
+    const res = await client.chat.completions.create(options);
+    const choice = res.choices[0];
+    return {
+      text: choice?.message?.content ?? '',
+      usage: res.usage,
+      raw: res,
+      request: options,
+      refusal: choice?.message?.refusal || undefined,
+      truncated: choice?.finish_reason === 'length',
+    };
+  };
+
+  return {
+    name: 'openai-chat',
+    supportsWebSearch: false,
+
+    async complete({ model, instructions, input, schema, temperature }) {
+      const base = { model, temperature, messages: toMessages(instructions, input) };
+      if (!schema) return request(base);
+
+      if (mode !== 'json_object') {
+        try {
+          const res = await request({
+            ...base,
+            response_format: { type: 'json_schema', json_schema: { name: 'structured_output', schema, strict: true } },
+          });
+          return { ...res, text: stripFence(res.text) };
+        } catch (err) {
+          if (mode !== 'auto' || err.status !== 400) throw err;
+          console.log('[WARN] Endpoint rejected json_schema output; falling back to JSON mode.');
+          mode = 'json_object';
+        }
+      }
+
+      const messages = [
+        ...base.messages,
+        {
+          role: 'system',
+          content: `Respond with a single JSON object, and nothing else, that validates against this JSON Schema:\n${JSON.stringify(schema)}`,
+        },
+      ];
+      const res = await request({ ...base, messages, response_format: { type: 'json_object' } });
+      return { ...res, text: stripFence(res.text) };
+    },
+  };
+}
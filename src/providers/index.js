@@ -0,0 +1,32 @@
+import { createOpenAIResponsesProvider } from './openaiResponses.js';
+import { createChatCompletionsProvider } from './chatCompletions.js';
+import { createMockProvider } from './mock.js';
+
+// ————————————————————————————————————————————————
+// Provider registry
+// ————————————————————————————————————————————————
+// Every provider exposes the same interface:
+//   name               — registry key
+//   supportsWebSearch  — whether `webSearch` requests (`true` or `{ country }`) can be honoured
+//   complete({ model, instructions, input, schema, temperature, webSearch })
+//     → Promise<{ text, usage, raw, request, refusal?, truncated? }>
+export const PROVIDERS = {
+  openai: createOpenAIResponsesProvider,
+  'openai-chat': createChatCompletionsProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Creates a provider by name.
+ * @param {string} name - Provider name (see PROVIDERS).
+ * @param {Object} [options] - Provider-specific options.
+ * @returns {Object} Provider instance.
+ * @throws {Error} If the provider is unknown or misconfigured.
+ */
+export function createProvider(name, options) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
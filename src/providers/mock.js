@@ -0,0 +1,110 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { now } from '../clock.js';
+
+/**
+ * Small seeded PRNG (mulberry32) so the same prompt always yields the same output.
+ * @param {number} seed - 32-bit seed.
+ * @returns {Function} Function returning floats in [0, 1).
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Canned text for well-known output fields, so a mock run produces readable documents.
+const FIELD_TEXT = {
+  cv_markdown: '# Mock Applicant\n\nmock@example.com\n\n## Skills\n\n- Mock skill one\n- Mock skill two\n\n## Experience\n\n### Mock Role\n\n01/01/2020 – 01/01/2024\n',
+  covering_letter: 'Dear Hiring Manager,\n\nThis is a deterministic mock covering letter produced without calling a model.\n\nYours faithfully,\n\nMock Applicant\n',
+  job_description: 'Mock job description. Responsibilities include delivering mock outcomes. Requirements: mock skills.',
+  role_title: 'Mock Role',
+  url: 'https://example.com/mock-advert',
+};
+
+/**
+ * Builds a value that validates against a (strict, structured-output style) JSON Schema.
+ * @param {Object} schema - JSON Schema node.
+ * @param {Function} rand - Seeded random source.
+ * @param {string} [name] - Property name, used for canned text and labels.
+ * @returns {any} Generated value.
+ */
+function generate(schema, rand, name = 'value') {
+  if (schema.enum) return schema.enum[Math.floor(rand() * schema.enum.length)];
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== 'null') : schema.type;
+  switch (type) {
+    case 'object': {
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties || {})) out[key] = generate(prop, rand, key);
+      return out;
+    }
+    case 'array': {
+      const n = Math.max(schema.minItems ?? 2, 0);
+      return Array.from({ length: n }, () => generate(schema.items || {}, rand, name));
+    }
+    case 'integer': {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? min + 100;
+      return min + Math.floor(rand() * (max - min + 1));
+    }
+    case 'number': {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? min + 1;
+      return Math.round((min + rand() * (max - min)) * 100) / 100;
+    }
+    case 'boolean':
+      return true; // e.g. "applications open", so a mock run goes all the way through
+    case 'null':
+      return null;
+    default:
+      // Dates fall 10–120 days after today (or the pinned replay date).
+      if (name.endsWith('_date')) return new Date(now().getTime() + (10 + Math.floor(rand() * 111)) * 86_400_000).toISOString().slice(0, 10);
+      return FIELD_TEXT[name] ?? `Mock ${name.replace(/_/g, ' ')} ${Math.floor(rand() * 1000)}`;
+  }
+}
+
+/**
+ * Deterministic offline provider. Returns schema-valid data derived from a hash of the
+ * request, so repeated runs are identical and no network access is needed.
+ * Fixtures can be supplied in a JSON file (LLM_MOCK_FIXTURES) mapping a schema's
+ * sorted required keys, joined by commas (e.g. `"rationale,score"`), to a canned response.
+ * @param {Object} [options] - Provider options.
+ * @param {string} [options.fixturesPath] - Optional path to a fixtures JSON file.
+ * @returns {Object} Provider implementing `complete()`.
+ */
+export function createMockProvider({ fixturesPath = process.env.LLM_MOCK_FIXTURES } = {}) {
+  const fixtures = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+
+  return {
+    name: 'mock',
+    supportsWebSearch: false,
+
+    async complete({ model, instructions, input, schema, temperature }) {
+      const request = { model, instructions, input, schema, temperature };
+      const digest = crypto.createHash('sha256').update(JSON.stringify(request)).digest();
+      const rand = seededRandom(digest.readUInt32LE(0));
+
+      let value;
+      if (!schema) value = 'Mock response.';
+      else {
+        const key = [...(schema.required || [])].sort().join(',');
+        value = fixtures[key] ?? generate(schema, rand);
+      }
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      // Rough token counts (about four characters a token), so cost accounting can be tried offline.
+      const inputTokens = Math.ceil(JSON.stringify({ instructions, input, schema }).length / 4);
+      const outputTokens = Math.ceil(text.length / 4);
+      return {
+        text,
+        usage: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+        raw: { output_text: text },
+        request,
+      };
+    },
+  };
+}
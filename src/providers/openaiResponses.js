@@ -0,0 +1,64 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI Responses API provider. Supports structured outputs (JSON Schema)
+ * and the hosted `web_search_preview` tool.
+ * @param {Object} [options] - Provider options.
+ * @param {string} [options.apiKey] - API key (defaults to OPENAI_API_KEY).
+ * @param {string} [options.baseURL] - Optional API base URL.
+ * @returns {Object} Provider implementing `complete()`.
+ * @throws {Error} If no API key is available.
+ */
+export function createOpenAIResponsesProvider({ apiKey = process.env.OPENAI_API_KEY, baseURL } = {}) {
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is not set. Create a .env file.');
+  }
+  // sendToLLM retries with backoff itself; SDK retries would multiply its attempts.
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+
+  return {
+    name: 'openai',
+    supportsWebSearch: true,
+
+    async complete({ model, instructions, input, schema, temperature, webSearch }) {
+      const options = {
+        model,
+        temperature,
+        instructions: instructions || undefined,
+        input,
+      };
+
+      if (webSearch) {
+        options.tools = [{
+          type: 'web_search_preview',
+          search_context_size: 'medium',
+          ...(webSearch.country ? { user_location: { type: 'approximate', country: webSearch.country } } : {}),
+        }];
+      }
+
+      if (schema) {
+        options.text = {
+          format: {
+            name: 'structured_output',
+            type: 'json_schema',
+            schema,
+            strict: true,
+          },
+        };
+      }
+
+      const res = await client.responses.create(options);
+      const refusal = res.output
+        ?.flatMap((item) => item.content || [])
+        .find((c) => c.type === 'refusal')?.refusal;
+      return {
+        text: res.output_text,
+        usage: res.usage,
+        raw: res,
+        request: options,
+        refusal,
+        truncated: res.status === 'incomplete',
+      };
+    },
+  };
+}
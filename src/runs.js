@@ -0,0 +1,52 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// ————————————————————————————————————————————————
+// Per-application run folders
+// ————————————————————————————————————————————————
+/**
+ * Turns a job title or description into a filesystem-safe folder name.
+ * @param {string} s - Free text to slugify.
+ * @returns {string} Lower-case slug made of letters, digits and hyphens.
+ */
+export function slugify(s) {
+  const slug = String(s)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+  return slug || 'job';
+}
+
+/**
+ * Creates a timestamped folder for a single run, e.g. `<root>/<job-slug>/<iso-date>/`.
+ * Colons and dots in the timestamp are replaced so the name is valid on every platform.
+ * @param {string} root - Root folder holding all applications.
+ * @param {string} job - Job title or description.
+ * @param {Date} [when] - Run start time (defaults to now).
+ * @returns {Promise<string>} Absolute path of the created folder.
+ */
+export async function createRunFolder(root, job, when = new Date()) {
+  const stamp = when.toISOString().replace(/[:.]/g, '-');
+  const dir = path.resolve(root, slugify(job), stamp);
+  await fs.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Writes one artefact into a run folder. Strings and Buffers are written as-is,
+ * anything else is serialised as pretty-printed JSON.
+ * @param {string} dir - Run folder path.
+ * @param {string} name - File name within the run folder.
+ * @param {string|Buffer|Object} content - File content.
+ * @returns {Promise<string>} Path of the written file.
+ */
+export async function saveRunFile(dir, name, content) {
+  const p = path.join(dir, name);
+  const data = typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content, null, 2) + '\n';
+  await fs.writeFile(p, data, 'utf8');
+  return p;
+}
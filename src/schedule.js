@@ -0,0 +1,76 @@
+// ————————————————————————————————————————————————
+// Scheduling the next attempt from the advert's dates
+// ————————————————————————————————————————————————
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Days after an announced reopening before trying again, so the new advert is live. */
+export const REOPEN_GRACE_DAYS = 3;
+/** Days before a closing date to try again, leaving time to review and submit. */
+export const DEADLINE_LEAD_DAYS = 7;
+/** Days to wait before re-checking a closed advert with no announced reopening. */
+export const CLOSED_RETRY_DAYS = 45;
+
+/**
+ * Parses a `yyyy-mm-dd` date from the open-check.
+ * @param {string|null} s - Date string.
+ * @returns {Date|null} Midnight UTC on that date, or null if missing or malformed.
+ */
+export function parseAdvertDate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s ?? '');
+  if (!m) return null;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCMonth() === Number(m[2]) - 1 ? d : null;
+}
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * Decides when to try again. In order of preference:
+ * - a few days after an announced reopening;
+ * - for an open advert, a week before its closing date, if that comes sooner than the random
+ *   reapply window;
+ * - for an open advert closing within the week: tomorrow if this run stopped before drafting,
+ *   else not before the advert closes, so the final week is drafted at most once;
+ * - for a closed advert, a fixed re-check interval;
+ * - otherwise (no closing date, or it has passed) a random day in the reapply window.
+ * @param {Object} params - Scheduling inputs.
+ * @param {Object} params.status - Open-check result: `{ open, closing_date, reopening_date }`.
+ * @param {Date} params.now - Current time.
+ * @param {number} params.minDays - Shortest reapply wait in days.
+ * @param {number} params.maxDays - Longest reapply wait in days.
+ * @param {Function} params.randInt - `(min, max) => integer`, for the random window.
+ * @param {boolean} [params.drafted] - Whether this run drafted the documents (false when it
+ *   stopped early, e.g. at `maxCostPerRun`).
+ * @returns {Object} `{ at, reason }` — when to run next and why, for the log.
+ */
+export function planNextRun({ status, now, minDays, maxDays, randInt, drafted = true }) {
+  const after = (days) => new Date(now.getTime() + days * DAY_MS);
+  const closing = parseAdvertDate(status.closing_date);
+  const reopening = parseAdvertDate(status.reopening_date);
+
+  if (reopening && reopening > now) {
+    return {
+      at: new Date(reopening.getTime() + REOPEN_GRACE_DAYS * DAY_MS),
+      reason: `${REOPEN_GRACE_DAYS} days after applications reopen on ${isoDate(reopening)}`,
+    };
+  }
+  if (!status.open) {
+    return { at: after(CLOSED_RETRY_DAYS), reason: `in ${CLOSED_RETRY_DAYS} days (closed, no reopening date announced)` };
+  }
+  const days = randInt(minDays, maxDays);
+  if (closing) {
+    const lead = new Date(closing.getTime() - DEADLINE_LEAD_DAYS * DAY_MS);
+    // Applications are taken until the end of the closing date.
+    const closes = new Date(closing.getTime() + DAY_MS);
+    if (lead > after(1) && lead < after(days)) {
+      return { at: lead, reason: `${DEADLINE_LEAD_DAYS} days before the ${isoDate(closing)} closing date` };
+    }
+    if (lead <= after(1) && after(1) < closes) {
+      if (!drafted) return { at: after(1), reason: `tomorrow, before the ${isoDate(closing)} closing date` };
+      if (after(days) < closes) {
+        return { at: closes, reason: `after the ${isoDate(closing)} closing date (already drafted for it)` };
+      }
+    }
+  }
+  return { at: after(days), reason: `in ~${days} days (random reapply window)` };
+}
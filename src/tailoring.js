@@ -0,0 +1,113 @@
+import { now } from './clock.js';
+
+// ————————————————————————————————————————————————
+// Tailoring policy: which scored items make it into the CV
+// ————————————————————————————————————————————————
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/** Defaults per section; `tailoring` in job.config.json overrides them field by field. */
+export const TAILORING_DEFAULTS = {
+  skills: { minScore: 1, maxItems: 10, pinned: [] },
+  achievements: { minScore: 1, maxItems: 10, pinned: [] },
+  roles: { minScore: 8, maxItems: null, lowScore: 'shorten', recencyWeight: 0, pinned: [] },
+};
+
+/**
+ * Merges the `tailoring` section of a job config over the defaults.
+ * @param {Object} [tailoring] - `tailoring` from job.config.json.
+ * @returns {Object} Complete policy for `skills`, `achievements` and `roles`.
+ */
+export function resolveTailoring(tailoring = {}) {
+  return Object.fromEntries(
+    Object.entries(TAILORING_DEFAULTS).map(([section, defaults]) => [section, { ...defaults, ...tailoring[section] }]),
+  );
+}
+
+/**
+ * Finds which pinned entries match an item's text (case-insensitive; a pin may be any part of the text)
+ * and warns about pins that match nothing.
+ * @param {Array<string>} texts - Item texts (skills, achievements or role titles).
+ * @param {Array<string>} pinned - Pinned entries.
+ * @param {string} label - Section label for warnings, e.g. "skill".
+ * @returns {Set<number>} Indices of pinned items.
+ */
+function pinnedIndices(texts, pinned, label) {
+  const found = new Set();
+  for (const pin of pinned) {
+    const p = pin.toLowerCase();
+    const exact = texts.findIndex((t) => t.toLowerCase() === p);
+    const matches = exact >= 0 ? [exact] : texts.flatMap((t, i) => (t.toLowerCase().includes(p) ? [i] : []));
+    if (!matches.length) console.log(`[WARN] Pinned ${label} "${pin}" is not in cv.base.json.`);
+    matches.forEach((i) => found.add(i));
+  }
+  return found;
+}
+
+/**
+ * Selects skills or achievements: pinned items always, then the best-scoring items at or
+ * above `minScore` until `maxItems` is reached. The result keeps score order.
+ * @param {Array<Object>} scored - Items as `{ text, score, ... }`.
+ * @param {Object} policy - Section policy (`minScore`, `maxItems`, `pinned`).
+ * @param {string} label - Section label for log messages, e.g. "skill".
+ * @returns {Array<Object>} Scored items, each with `included` and `pinned` set, sorted by score.
+ */
+export function selectItems(scored, policy, label) {
+  const pins = pinnedIndices(scored.map((s) => s.text), policy.pinned, label);
+  const items = scored.map((s, i) => ({ ...s, pinned: pins.has(i), included: false }));
+  const ranked = [...items].sort((a, b) => b.score - a.score);
+  const limit = policy.maxItems ?? Infinity;
+  let count = ranked.filter((s) => s.pinned).length;
+  for (const s of ranked) {
+    if (s.pinned) s.included = true;
+    else if (s.score >= policy.minScore && count < limit) { s.included = true; count += 1; }
+  }
+  return ranked;
+}
+
+/**
+ * Years since a role ended (0 for a current role or one without dates).
+ * @param {Object} role - Role with `to` as a partial ISO date or "Present".
+ * @returns {number} Years, possibly fractional.
+ */
+function yearsSinceEnd(role) {
+  const m = String(role.to ?? '').match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!m) return 0;
+  const end = Date.UTC(Number(m[1]), m[2] ? Number(m[2]) - 1 : 11, 28);
+  return Math.max(0, (now().getTime() - end) / YEAR_MS);
+}
+
+/**
+ * Decides how each role appears: in full, shortened (no description) or dropped.
+ * A role's effective score is its relevance score minus `recencyWeight` points per year
+ * since it ended. Roles below `minScore` are shortened or dropped according to `lowScore`
+ * (`shorten`, `drop` or `keep`); beyond `maxItems`, the lowest-scoring roles are dropped.
+ * Pinned roles (matched on job title) are always kept in full.
+ * @param {Array<Object>} roles - Roles from cv.base.json.
+ * @param {Array<Object>} scores - `{ score, rationale }` per role, in the same order.
+ * @param {Object} policy - Roles policy.
+ * @returns {Array<Object>} Per role, in the original order: `{ role, score, rationale, effectiveScore, pinned, treatment }`.
+ */
+export function selectRoles(roles, scores, policy) {
+  const pins = pinnedIndices(roles.map((r) => r.jobTitle || ''), policy.pinned, 'role');
+  const decided = roles.map((role, i) => {
+    const { score, rationale } = scores[i];
+    const effectiveScore = Math.round((score - policy.recencyWeight * yearsSinceEnd(role)) * 100) / 100;
+    const pinned = pins.has(i);
+    let treatment = 'full';
+    if (!pinned && effectiveScore < policy.minScore) {
+      treatment = { shorten: 'shortened', drop: 'dropped', keep: 'full' }[policy.lowScore];
+    }
+    return { role, score, rationale, effectiveScore, pinned, treatment };
+  });
+
+  const limit = policy.maxItems ?? Infinity;
+  const kept = decided.filter((d) => d.treatment !== 'dropped');
+  if (kept.length > limit) {
+    kept
+      .filter((d) => !d.pinned)
+      .sort((a, b) => a.effectiveScore - b.effectiveScore)
+      .slice(0, kept.length - Math.max(limit, kept.filter((d) => d.pinned).length))
+      .forEach((d) => { d.treatment = 'dropped'; });
+  }
+  return decided;
+}
@@ -0,0 +1,90 @@
+// ————————————————————————————————————————————————
+// Minimal Mustache-style templates, for CV layouts and prompts
+// ————————————————————————————————————————————————
+// Supports {{name}}, {{a.b}}, {{.}}, {{#name}}…{{/name}} (loop over arrays, or show if
+// truthy) and {{^name}}…{{/name}} (show if empty/falsy; 0 counts as falsy, as in mustache.js,
+// so {{#list.length}} tests for a non-empty list). Output is Markdown or plain text, so
+// nothing is escaped.
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i -= 1) {
+    const ctx = stack[i];
+    if (ctx && typeof ctx === 'object' && head in ctx) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Removes the line breaks around section tags that stand alone on a line, as Mustache does,
+ * so `{{#list}}` on its own line leaves no blank line behind.
+ * @param {string} template - Template source.
+ * @returns {string} Template ready for `renderTemplate`.
+ */
+export function stripStandaloneTags(template) {
+  return template.replace(/^[ \t]*({{\s*[#^/][^}]*}})[ \t]*\r?\n/gm, '$1');
+}
+
+/**
+ * Whether a value hides a `{{#section}}` (and shows a `{{^section}}`).
+ * @param {any} v - Value.
+ * @returns {boolean} True for null, undefined, false, 0, '' and empty arrays.
+ */
+export function isEmpty(v) {
+  return v == null || v === false || v === 0 || v === '' || (Array.isArray(v) && v.length === 0);
+}
+
+/**
+ * Renders a template against a stack of contexts; names are looked up from the top of the
+ * stack down, so a loop item's fields hide the outer view's.
+ * @param {string} template - Template source (after `stripStandaloneTags`).
+ * @param {Array<Object>} stack - Contexts, outermost first; usually `[view]`.
+ * @returns {string} Rendered text.
+ * @throws {Error} If a section is not closed, or closed without being opened.
+ */
+export function renderTemplate(template, stack) {
+  let out = '';
+  let pos = 0;
+  const tag = /{{\s*([#^/]?)\s*([\w.]+|\.)\s*}}/g;
+  let m;
+  while ((m = tag.exec(template))) {
+    out += template.slice(pos, m.index);
+    const [, kind, name] = m;
+    if (kind === '#' || kind === '^') {
+      const close = findClose(template, name, tag.lastIndex);
+      const inner = template.slice(tag.lastIndex, close.start);
+      const value = lookup(stack, name);
+      if (kind === '^') {
+        if (isEmpty(value)) out += renderTemplate(inner, stack);
+      } else if (Array.isArray(value)) {
+        out += value.map((item) => renderTemplate(inner, [...stack, item])).join('');
+      } else if (!isEmpty(value)) {
+        out += renderTemplate(inner, typeof value === 'object' ? [...stack, value] : stack);
+      }
+      tag.lastIndex = close.end;
+    } else if (kind === '/') {
+      throw new Error(`Unexpected {{/${name}}} in template.`);
+    } else {
+      const value = lookup(stack, name);
+      out += value == null ? '' : String(value);
+    }
+    pos = tag.lastIndex;
+  }
+  return out + template.slice(pos);
+}
+
+function findClose(template, name, from) {
+  const tag = /{{\s*([#^/]?)\s*([\w.]+|\.)\s*}}/g;
+  tag.lastIndex = from;
+  let depth = 1;
+  let m;
+  while ((m = tag.exec(template))) {
+    if (m[2] !== name) continue;
+    if (m[1] === '#' || m[1] === '^') depth += 1;
+    if (m[1] === '/') depth -= 1;
+    if (depth === 0) return { start: m.index, end: tag.lastIndex };
+  }
+  throw new Error(`Unclosed {{#${name}}} in template.`);
+}
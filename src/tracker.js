@@ -0,0 +1,145 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { slugify } from './runs.js';
+
+// ————————————————————————————————————————————————
+// Persistent application tracker (JSON state file)
+// ————————————————————————————————————————————————
+/** Statuses a user can set with `mark`; `drafted` is also set automatically after a run. */
+export const STATUSES = ['drafted', 'submitted', 'interview', 'rejected', 'offer'];
+
+// Statuses a fresh draft must not overwrite: the application has moved on.
+const PROGRESSED = ['submitted', 'interview', 'offer'];
+
+function emptyState() {
+  return { version: 1, jobs: {} };
+}
+
+/**
+ * Loads the tracker state. A missing file yields an empty tracker.
+ * @param {string} p - Path to the tracker JSON file.
+ * @returns {Promise<Object>} Tracker state `{ version, jobs }`.
+ */
+export async function loadTracker(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return emptyState();
+    throw new Error(`Cannot read tracker ${p}: ${err.message}`);
+  }
+}
+
+/**
+ * Saves the tracker state atomically (write to a temporary file, then rename),
+ * so a crash mid-write never leaves a truncated file behind.
+ * @param {string} p - Path to the tracker JSON file.
+ * @param {Object} state - Tracker state.
+ * @returns {Promise<void>}
+ */
+export async function saveTracker(p, state) {
+  await fs.mkdir(path.dirname(p), { recursive: true });
+  const tmp = `${p}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, p);
+}
+
+/**
+ * Returns the tracker entry for a job, creating it if needed.
+ * @param {Object} state - Tracker state.
+ * @param {string} job - Job title or description.
+ * @returns {Object} The job's entry.
+ */
+export function jobEntry(state, job) {
+  const key = slugify(job);
+  state.jobs[key] ??= {
+    job,
+    status: null,
+    attempts: 0,
+    lastAttemptAt: null,
+    nextRun: null,
+    checks: [],
+    runs: [],
+    history: [],
+  };
+  return state.jobs[key];
+}
+
+/**
+ * Loads the tracker, lets `fn` modify it, and saves it again. Re-reading right before
+ * each change keeps updates made by other processes (e.g. `mark` while the daemon sleeps).
+ * @param {string} p - Path to the tracker JSON file.
+ * @param {Function} fn - Called with the state; may return a value.
+ * @returns {Promise<any>} Whatever `fn` returns.
+ */
+export async function updateTracker(p, fn) {
+  const state = await loadTracker(p);
+  const result = await fn(state);
+  await saveTracker(p, state);
+  return result;
+}
+
+/**
+ * Finds a tracked job by slug, exact title, or a unique case-insensitive substring.
+ * @param {Object} state - Tracker state.
+ * @param {string} query - Job slug, title or part of the title.
+ * @returns {Object} The job's entry.
+ * @throws {Error} If no job, or more than one job, matches.
+ */
+export function findJob(state, query) {
+  const entries = Object.entries(state.jobs);
+  const exact = entries.find(([key, e]) => key === query || key === slugify(query) || e.job === query);
+  if (exact) return exact[1];
+  const q = query.toLowerCase();
+  const matches = entries.filter(([, e]) => e.job.toLowerCase().includes(q));
+  if (matches.length === 1) return matches[0][1];
+  if (!matches.length) throw new Error(`No tracked job matches "${query}".`);
+  throw new Error(`"${query}" matches several jobs: ${matches.map(([key]) => key).join(', ')}`);
+}
+
+/**
+ * Sets a job's status and notes the change in its history.
+ * @param {Object} entry - Job entry.
+ * @param {string} status - One of STATUSES.
+ * @param {Date} [when] - Time of the change.
+ * @throws {Error} If the status is unknown.
+ */
+export function setStatus(entry, status, when = new Date()) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown status "${status}". Use one of: ${STATUSES.join(', ')}`);
+  }
+  entry.history.push({ at: when.toISOString(), event: 'status', from: entry.status, to: status });
+  entry.status = status;
+}
+
+/**
+ * Marks a job as drafted after a run, unless the application has already progressed
+ * (submitted, interview or offer).
+ * @param {Object} entry - Job entry.
+ * @param {Date} [when] - Time of the run.
+ */
+export function markDrafted(entry, when = new Date()) {
+  if (!PROGRESSED.includes(entry.status)) setStatus(entry, 'drafted', when);
+}
+
+/**
+ * Formats the tracker as a plain-text table for the `status` command.
+ * @param {Object} state - Tracker state.
+ * @returns {string} Table text.
+ */
+export function formatStatusTable(state) {
+  const rows = Object.entries(state.jobs).map(([key, e]) => {
+    const lastCheck = e.checks.at(-1);
+    return [
+      key,
+      e.status || '—',
+      String(e.attempts),
+      e.lastAttemptAt ? e.lastAttemptAt.slice(0, 16).replace('T', ' ') : '—',
+      e.nextRun ? e.nextRun.slice(0, 16).replace('T', ' ') : '—',
+      lastCheck ? `${lastCheck.open ? 'open' : 'closed'} (${lastCheck.confidence ?? 'n/a'})` : '—',
+    ];
+  });
+  if (!rows.length) return 'No applications tracked yet.';
+  const header = ['JOB', 'STATUS', 'ATTEMPTS', 'LAST ATTEMPT', 'NEXT RUN', 'LAST CHECK'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  return [header, ...rows].map((r) => r.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
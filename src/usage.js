@@ -0,0 +1,192 @@
+// ————————————————————————————————————————————————
+// Token usage and cost accounting, per pipeline stage
+// ————————————————————————————————————————————————
+/**
+ * US dollars per million tokens. `prices` in job.config.json adds models or overrides these.
+ * A model is priced by its exact name, else by the longest name it starts with, so dated
+ * snapshots such as `gpt-4o-mini-2024-07-18` share their family's price.
+ */
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+  'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4 },
+  'o4-mini': { input: 1.1, cachedInput: 0.275, output: 4.4 },
+};
+
+// Output tokens assumed for a call's budget check before any call has been seen.
+const DEFAULT_OUTPUT_ESTIMATE = 1000;
+
+let ledger = null;
+
+/**
+ * Starts accounting for a new run; calls before this (or after `stopUsage`) are not counted.
+ * @param {Object} [params] - Run settings.
+ * @param {Object} [params.prices] - Extra or overriding prices per model (`{ input, cachedInput, output }`).
+ * @param {number} [params.maxCost] - Budget for the run in US dollars; no limit when unset.
+ */
+export function startUsage({ prices = {}, maxCost = null } = {}) {
+  ledger = { prices: { ...DEFAULT_PRICES, ...prices }, maxCost, stage: 'other', stages: new Map(), maxOutput: 0, reserved: 0, unpriced: new Set() };
+}
+
+/** Stops accounting (e.g. between daemon runs). */
+export function stopUsage() {
+  ledger = null;
+}
+
+/**
+ * Tags the following LLM calls with a pipeline stage, e.g. `scoring` or `letter`.
+ * @param {string} stage - Stage name.
+ */
+export function setStage(stage) {
+  if (ledger) ledger.stage = stage;
+}
+
+/**
+ * Finds the price of a model.
+ * @param {string} model - Model name.
+ * @returns {Object|null} `{ input, cachedInput, output }`, or null when the model has no price.
+ */
+function priceOf(model) {
+  const { prices } = ledger;
+  if (prices[model]) return prices[model];
+  const family = Object.keys(prices).filter((m) => model.startsWith(m)).sort((a, b) => b.length - a.length)[0];
+  return family ? prices[family] : null;
+}
+
+/**
+ * Reads the token counts from a provider's usage report (Responses or Chat Completions shape).
+ * @param {Object} [usage] - Reported usage.
+ * @returns {Object} `{ input, cachedInput, output }` in tokens; `input` includes `cachedInput`.
+ */
+function tokensOf(usage = {}) {
+  return {
+    input: usage?.input_tokens ?? usage?.prompt_tokens ?? 0,
+    cachedInput: usage?.input_tokens_details?.cached_tokens ?? usage?.prompt_tokens_details?.cached_tokens ?? 0,
+    output: usage?.output_tokens ?? usage?.completion_tokens ?? 0,
+  };
+}
+
+function costOf(model, { input, cachedInput, output }) {
+  const price = priceOf(model);
+  if (!price) return null;
+  const cachedRate = price.cachedInput ?? price.input;
+  return ((input - cachedInput) * price.input + cachedInput * cachedRate + output * price.output) / 1e6;
+}
+
+/**
+ * Records one LLM call against the current stage.
+ * @param {string} model - Model that answered.
+ * @param {Object} [usage] - Usage reported by the provider.
+ * @param {Object} [options] - `{ fromCache }`: answered from the LLM cache, so nothing was spent.
+ */
+export function recordUsage(model, usage, { fromCache = false } = {}) {
+  if (!ledger) return;
+  if (!ledger.stages.has(ledger.stage)) {
+    ledger.stages.set(ledger.stage, { calls: 0, cacheHits: 0, input: 0, cachedInput: 0, output: 0, cost: 0 });
+  }
+  const entry = ledger.stages.get(ledger.stage);
+  if (fromCache) {
+    entry.cacheHits += 1;
+    return;
+  }
+  const tokens = tokensOf(usage);
+  entry.calls += 1;
+  entry.input += tokens.input;
+  entry.cachedInput += tokens.cachedInput;
+  entry.output += tokens.output;
+  ledger.maxOutput = Math.max(ledger.maxOutput, tokens.output);
+  const cost = costOf(model, tokens);
+  if (cost === null) {
+    if (!ledger.unpriced.has(model)) {
+      console.log(`[WARN] No price for model "${model}"; its calls count as free. Add it to "prices" in the job config.`);
+      ledger.unpriced.add(model);
+    }
+  } else {
+    entry.cost += cost;
+  }
+}
+
+/**
+ * Total spent so far in this run, in US dollars.
+ * @returns {number} Cost.
+ */
+function spent() {
+  return [...ledger.stages.values()].reduce((sum, s) => sum + s.cost, 0);
+}
+
+/**
+ * Stops the run before a call that could take it over budget, and otherwise reserves the
+ * call's estimated cost until it settles, so calls made in parallel cannot all pass against
+ * the same total. The cost is estimated from the size of the request (about four characters
+ * a token) and the longest answer so far.
+ * @param {string} model - Model to be called.
+ * @param {Object} request - Request about to be sent.
+ * @returns {Function} Releases the reservation; call it once the call has succeeded or failed.
+ * @throws {Error} With `code` `BUDGET_EXCEEDED` when the call could exceed `maxCostPerRun`.
+ */
+export function reserveBudget(model, request) {
+  const none = () => {};
+  if (!ledger || ledger.maxCost == null) return none;
+  const { instructions, input, schema } = request;
+  const estimate = costOf(model, {
+    input: Math.ceil(JSON.stringify({ instructions, input, schema }).length / 4),
+    cachedInput: 0,
+    output: ledger.maxOutput || DEFAULT_OUTPUT_ESTIMATE,
+  });
+  if (estimate === null) return none;
+  const total = spent();
+  if (total + ledger.reserved + estimate > ledger.maxCost) {
+    const inFlight = ledger.reserved ? ` (plus up to ${formatCost(ledger.reserved)} for calls in progress)` : '';
+    const err = new Error(
+      `Stopping before the next LLM call (${ledger.stage}): it could take this run's cost from ${formatCost(total)}${inFlight} `
+      + `past the ${formatCost(ledger.maxCost)} limit (maxCostPerRun).`,
+    );
+    err.code = 'BUDGET_EXCEEDED';
+    throw err;
+  }
+  const held = ledger;
+  held.reserved += estimate;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    held.reserved -= estimate;
+  };
+}
+
+/**
+ * Summarises the run so far.
+ * @returns {Object} `{ stages: { [stage]: { calls, cacheHits, input, cachedInput, output, cost } }, total, maxCost }`.
+ */
+export function usageSummary() {
+  if (!ledger) return null;
+  const stages = Object.fromEntries(ledger.stages);
+  const total = { calls: 0, cacheHits: 0, input: 0, cachedInput: 0, output: 0, cost: 0 };
+  for (const s of ledger.stages.values()) {
+    for (const k of Object.keys(total)) total[k] += s[k];
+  }
+  return { stages, total, maxCost: ledger.maxCost };
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Formats a usage summary as a table for the terminal.
+ * @param {Object} summary - Output of `usageSummary`.
+ * @returns {string} Table text.
+ */
+export function formatUsageSummary({ stages, total, maxCost }) {
+  const widths = [12, 5, 7, 10, 10, 9];
+  const row = (cells) => cells.map((c, i) => (i ? String(c).padStart(widths[i]) : String(c).padEnd(widths[i]))).join('  ');
+  const stageRow = (name, s) => row([name, s.calls, s.cacheHits, s.input, s.output, formatCost(s.cost)]);
+  return [
+    `LLM usage${maxCost != null ? ` (limit ${formatCost(maxCost)} per run)` : ''}:`,
+    row(['stage', 'calls', 'cached', 'in tokens', 'out tokens', 'cost']),
+    ...Object.entries(stages).map(([name, s]) => stageRow(name, s)),
+    stageRow('total', total),
+  ].join('\n');
+}
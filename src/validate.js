@@ -0,0 +1,177 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// ————————————————————————————————————————————————
+// Config validation against the published JSON Schemas
+// ————————————————————————————————————————————————
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = {
+  cv: ajv.compile(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, 'cv.base.schema.json'), 'utf8'))),
+  jobConfig: ajv.compile(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, 'job.config.schema.json'), 'utf8'))),
+  questions: ajv.compile(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, 'questions.schema.json'), 'utf8'))),
+};
+
+/**
+ * Converts an Ajv instance path (`/pastJobRoles/0/from`) to a JSON path (`$.pastJobRoles[0].from`).
+ * @param {string} instancePath - JSON Pointer from Ajv.
+ * @returns {string} JSON path.
+ */
+function toJSONPath(instancePath) {
+  return '$' + instancePath
+    .split('/')
+    .slice(1)
+    .map((seg) => seg.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map((seg) => (/^\d+$/.test(seg) ? `[${seg}]` : /^[A-Za-z_$][\w$]*$/.test(seg) ? `.${seg}` : `[${JSON.stringify(seg)}]`))
+    .join('');
+}
+
+/**
+ * Turns Ajv errors into `{ path, message }` problems. `anyOf` noise is collapsed
+ * into a single message for the failing value, and `if`/`then` reports only the `then` details.
+ * @param {Array<Object>} errors - Ajv errors.
+ * @returns {Array<Object>} Problems.
+ */
+function toProblems(errors = []) {
+  const anyOfPaths = new Set(errors.filter((e) => e.keyword === 'anyOf').map((e) => e.instancePath));
+  return errors
+    .filter((e) => e.keyword === 'anyOf' || !anyOfPaths.has(e.instancePath))
+    .filter((e) => e.keyword !== 'if')
+    .map((e) => {
+      let { instancePath } = e;
+      let message = e.message;
+      if (e.keyword === 'additionalProperties') {
+        instancePath += `/${e.params.additionalProperty}`;
+        message = 'is not a recognised property';
+      } else if (e.keyword === 'required') {
+        instancePath += `/${e.params.missingProperty}`;
+        message = 'is required';
+      } else if (e.keyword === 'anyOf') {
+        message = 'is not a valid value';
+      } else if (e.keyword === 'pattern' && /\/(from|to)$/.test(instancePath)) {
+        message = 'must be a date as YYYY, YYYY-MM or YYYY-MM-DD';
+      } else if (e.keyword === 'pattern' && instancePath.endsWith('/email')) {
+        message = 'must be an email address';
+      } else if (e.keyword === 'enum') {
+        message = `must be one of: ${e.params.allowedValues.join(', ')}`;
+      }
+      return { path: toJSONPath(instancePath), message };
+    });
+}
+
+/**
+ * Validates CV base data against `schemas/cv.base.schema.json`, plus checks the schema
+ * cannot express (a role must not end before it starts).
+ * @param {Object} data - Parsed cv.base.json.
+ * @returns {Array<Object>} Problems as `{ path, message }`; empty when valid.
+ */
+export function validateCVBase(data) {
+  const problems = validators.cv(data) ? [] : toProblems(validators.cv.errors);
+  const roles = Array.isArray(data?.pastJobRoles) ? data.pastJobRoles : [];
+  roles.forEach((role, i) => {
+    const { from, to } = role || {};
+    if (typeof from === 'string' && typeof to === 'string' && /^\d/.test(to) && to.localeCompare(from) < 0) {
+      problems.push({ path: `$.pastJobRoles[${i}].to`, message: `is before "from" (${from})` });
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validates a job runtime config against `schemas/job.config.schema.json`, plus
+ * cross-field checks.
+ * @param {Object} data - Parsed job.config.json.
+ * @returns {Array<Object>} Problems as `{ path, message }`; empty when valid.
+ */
+export function validateJobConfig(data) {
+  const problems = validators.jobConfig(data) ? [] : toProblems(validators.jobConfig.errors);
+  if (Number.isInteger(data?.minReapplyDays) && Number.isInteger(data?.maxReapplyDays) && data.minReapplyDays > data.maxReapplyDays) {
+    problems.push({ path: '$.maxReapplyDays', message: 'must not be less than minReapplyDays' });
+  }
+  return problems;
+}
+
+/**
+ * Validates an application-form questions file against `schemas/questions.schema.json`.
+ * @param {Object} data - Parsed questions file.
+ * @returns {Array<Object>} Problems as `{ path, message }`; empty when valid.
+ */
+export function validateQuestions(data) {
+  return validators.questions(data) ? [] : toProblems(validators.questions.errors);
+}
+
+/**
+ * Reads and parses a JSON file, reporting read and syntax errors as problems.
+ * @param {string} p - Path to the file.
+ * @returns {Promise<{ data: any, problems: Array<Object> }>} Parsed data (undefined on failure) and problems.
+ */
+async function readJSONFile(p) {
+  let text;
+  try {
+    text = await fsp.readFile(p, 'utf8');
+  } catch (err) {
+    return { problems: [{ path: '$', message: err.code === 'ENOENT' ? 'file not found' : err.message }] };
+  }
+  try {
+    return { data: JSON.parse(text), problems: [] };
+  } catch (err) {
+    return { problems: [{ path: '$', message: `invalid JSON: ${err.message}` }] };
+  }
+}
+
+/**
+ * Checks that the covering letter notes file exists and is not empty.
+ * @param {string} p - Path to the notes file.
+ * @returns {Promise<Array<Object>>} Problems as `{ path, message }`.
+ */
+export async function validateNotes(p) {
+  try {
+    const text = await fsp.readFile(p, 'utf8');
+    return text.trim() ? [] : [{ path: '$', message: 'file is empty' }];
+  } catch (err) {
+    return [{ path: '$', message: err.code === 'ENOENT' ? 'file not found' : err.message }];
+  }
+}
+
+/**
+ * Validates every input file of a run without calling the LLM.
+ * @param {Object} paths - Files to check.
+ * @param {string} paths.cvPath - Path to cv.base.json.
+ * @param {string} paths.jobCfgPath - Path to job.config.json.
+ * @param {string} paths.notesPath - Path to the covering letter notes.
+ * @param {string} [paths.questionsPath] - Path to the application-form questions, if any.
+ * @returns {Promise<Array<Object>>} Problems as `{ file, path, message }`; empty when all valid.
+ */
+export async function validateInputs({ cvPath, jobCfgPath, notesPath, questionsPath }) {
+  const problems = [];
+  const cv = await readJSONFile(cvPath);
+  const cvProblems = [...cv.problems, ...(cv.data === undefined ? [] : validateCVBase(cv.data))];
+  problems.push(...cvProblems.map((p) => ({ file: cvPath, ...p })));
+
+  const jobCfg = await readJSONFile(jobCfgPath);
+  const jobProblems = [...jobCfg.problems, ...(jobCfg.data === undefined ? [] : validateJobConfig(jobCfg.data))];
+  problems.push(...jobProblems.map((p) => ({ file: jobCfgPath, ...p })));
+
+  problems.push(...(await validateNotes(notesPath)).map((p) => ({ file: notesPath, ...p })));
+
+  if (questionsPath) {
+    const questions = await readJSONFile(questionsPath);
+    const questionProblems = [...questions.problems, ...(questions.data === undefined ? [] : validateQuestions(questions.data))];
+    problems.push(...questionProblems.map((p) => ({ file: questionsPath, ...p })));
+  }
+  return problems;
+}
+
+/**
+ * Formats problems one per line, e.g. `config/cv.base.json: $.skills[3] must be string`.
+ * @param {Array<Object>} problems - Problems from `validateInputs`.
+ * @returns {string} Human-readable report.
+ */
+export function formatProblems(problems) {
+  return problems.map((p) => `  ${p.file}: ${p.path} ${p.message}`).join('\n');
+}